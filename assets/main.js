@@ -17,6 +17,13 @@
     const fullscreenBtn = document.getElementById('fullscreenBtn');
     const contactForm = document.getElementById('contactForm');
 
+    // Deep links into the tour: index.html#tour/pano=4&yaw=120
+    const TOUR_LINK_PREFIX = '#tour/';
+
+    // postMessage protocol shared with tour/tour.js
+    const TOUR_CHANNEL = 'thalassa-tour';
+    const TOUR_PROTOCOL_VERSION = 1;
+
     // ============================================
     // Navigation
     // ============================================
@@ -47,7 +54,11 @@
     // Smooth scroll for anchor links
     function handleAnchorClick(e) {
         const href = e.currentTarget.getAttribute('href');
-        if (href.startsWith('#')) {
+        if (href.startsWith(TOUR_LINK_PREFIX)) {
+            e.preventDefault();
+            openTourAt(href.slice(TOUR_LINK_PREFIX.length));
+            closeMobileMenu();
+        } else if (href.startsWith('#')) {
             e.preventDefault();
             const target = document.querySelector(href);
             if (target) {
@@ -73,6 +84,29 @@
         // tourFrame.src = tourFrame.src;
     }
 
+    // Open the tour at a deep link (the part after '#' in tour/index.html)
+    function openTourAt(link) {
+        if (!tourFrame) return;
+        const base = tourFrame.getAttribute('src').split('#')[0];
+        // Same document + new hash: the tour restores the view via popstate
+        tourFrame.src = base + '#' + link;
+        activateTour();
+
+        const tourSection = document.getElementById('tour');
+        if (tourSection) {
+            window.scrollTo({
+                top: tourSection.offsetTop - navbar.offsetHeight,
+                behavior: 'smooth'
+            });
+        }
+    }
+
+    function handleTourHash() {
+        if (window.location.hash.startsWith(TOUR_LINK_PREFIX)) {
+            openTourAt(window.location.hash.slice(TOUR_LINK_PREFIX.length));
+        }
+    }
+
     // Open tour in fullscreen
     function openFullscreenTour() {
         const tourContainer = document.querySelector('.tour-frame-container');
@@ -84,14 +118,86 @@
         } else if (tourContainer.msRequestFullscreen) {
             tourContainer.msRequestFullscreen();
         } else {
-            // Fallback: open tour page in new tab
-            window.open('tour/index.html', '_blank');
+            // Fallback: open tour page in new tab (keeps the iframe's ?property=)
+            window.open(tourFrame ? tourFrame.getAttribute('src').split('#')[0] : 'tour/index.html', '_blank');
         }
 
         // Also activate the tour
         activateTour();
     }
 
+    function toggleTourFullscreen() {
+        const fsElement = document.fullscreenElement || document.webkitFullscreenElement;
+        if (fsElement) {
+            (document.exitFullscreen || document.webkitExitFullscreen || document.msExitFullscreen).call(document);
+        } else {
+            openFullscreenTour();
+        }
+    }
+
+    // ============================================
+    // Tour Messaging (postMessage API)
+    // ============================================
+
+    function tourOrigin() {
+        const origin = new URL(tourFrame.src, window.location.href).origin;
+        // file:// pages have an opaque origin that postMessage can't target
+        return origin === 'null' ? '*' : origin;
+    }
+
+    function sendToTour(type, payload) {
+        if (!tourFrame || !tourFrame.contentWindow) return;
+        tourFrame.contentWindow.postMessage({
+            channel: TOUR_CHANNEL,
+            version: TOUR_PROTOCOL_VERSION,
+            type: type,
+            payload: payload || {}
+        }, tourOrigin());
+    }
+
+    function handleTourMessage(e) {
+        if (!tourFrame || e.source !== tourFrame.contentWindow) return;
+        const msg = e.data;
+        if (!msg || msg.channel !== TOUR_CHANNEL || msg.version !== TOUR_PROTOCOL_VERSION) return;
+
+        if (msg.type === 'ready') {
+            sendToTour('connect');
+            const attract = attractOptions();
+            if (attract) sendToTour('attract', attract);
+        } else if (msg.type === 'fullscreenRequest') {
+            toggleTourFullscreen();
+        }
+
+        // Let the rest of the page react, e.g. document.addEventListener('tour:panoEntered', ...)
+        document.dispatchEvent(new CustomEvent('tour:' + msg.type, { detail: msg.payload }));
+    }
+
+    // Attract mode timings from the iframe, e.g. data-attract="20" data-attract-cycle="15"
+    function attractOptions() {
+        const data = tourFrame.dataset;
+        if (!data.attract && !data.attractCycle && !data.kiosk) return null;
+        const options = {};
+        if (data.attract) options.idle = Number(data.attract);
+        if (data.attractCycle) options.cycle = Number(data.attractCycle);
+        if (data.kiosk) options.kiosk = Number(data.kiosk);
+        return options;
+    }
+
+    function handleFullscreenChange() {
+        const fsElement = document.fullscreenElement || document.webkitFullscreenElement;
+        const tourContainer = document.querySelector('.tour-frame-container');
+        sendToTour('fullscreenChanged', { active: !!fsElement && fsElement === tourContainer });
+    }
+
+    // Commands for page scripts, e.g. room cards: thalassaTour.goToPano(5)
+    window.thalassaTour = {
+        goToPano: (pano) => { activateTour(); sendToTour('goToPano', { pano: pano }); },
+        teleport: (spot) => { activateTour(); sendToTour('teleport', { spot: spot }); },
+        exitPanorama: () => sendToTour('exitPanorama'),
+        attract: (options) => sendToTour('attract', options),
+        openAt: openTourAt
+    };
+
     // ============================================
     // Contact Form (UI Demo)
     // ============================================
@@ -240,6 +346,15 @@
             fullscreenBtn.addEventListener('click', openFullscreenTour);
         }
 
+        // Tour deep links in the page URL
+        handleTourHash();
+        window.addEventListener('hashchange', handleTourHash);
+
+        // Tour events + fullscreen state for the embedded tour
+        window.addEventListener('message', handleTourMessage);
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+
         // Contact form
         if (contactForm) {
             contactForm.addEventListener('submit', handleFormSubmit);
@@ -1,27 +1,307 @@
 #!/usr/bin/env node
 /**
- * Scans 360_casa/ for .jpg files, sorts by trailing number in filename,
- * and writes manifest.json.
+ * Ingests the panoramas of one or more pano folders and writes each folder's
+ * manifest.json. Defaults to 360_casa/; --all takes every property's "panos"
+ * folder from tour/properties.json.
  *
- * Usage:  node scripts/generate_pano_manifest.mjs
+ * For every .jpg it:
+ *   - reads the dimensions, XMP (GPano pose, capture time, title) and EXIF capture time
+ *   - checks it is a readable 2:1 equirectangular image with a trailing scene number
+ *   - derives a label ("livingroom-2.jpg" -> "Living room", or the XMP title)
+ *   - writes thumbs/<name>.jpg and web/<name>.jpg (needs sharp, skipped with --no-variants)
+ *
+ * manifest.json keeps "files" (sorted by trailing number) and "tiles" for older
+ * viewers, plus "scenes" with the per-image metadata. If any image in a folder
+ * is malformed the report is printed, that folder's manifest is left untouched
+ * and the exit code is 1 (the other folders are still processed).
+ *
+ * Usage:  node scripts/generate_pano_manifest.mjs [--thumb 512] [--web 4096]
+ *             [--quality 80] [--min-width 4096] [--no-variants] [--all | folder ...]
  */
-import { readdirSync, writeFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { readdirSync, readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { join, dirname, resolve, relative } from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const panoDir = join(__dirname, '..', '360_casa');
+const rootDir = join(__dirname, '..');
+const registryPath = join(rootDir, 'tour', 'properties.json');
+
+function parseArgs(argv) {
+    const opts = { thumbWidth: 512, webWidth: 4096, quality: 80, minWidth: 4096, variants: true, all: false, folders: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--thumb') opts.thumbWidth = parseInt(argv[++i], 10);
+        else if (argv[i] === '--web') opts.webWidth = parseInt(argv[++i], 10);
+        else if (argv[i] === '--quality') opts.quality = parseInt(argv[++i], 10);
+        else if (argv[i] === '--min-width') opts.minWidth = parseInt(argv[++i], 10);
+        else if (argv[i] === '--no-variants') opts.variants = false;
+        else if (argv[i] === '--all') opts.all = true;
+        else if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+        else opts.folders.push(resolve(argv[i]));
+    }
+    for (const key of ['thumbWidth', 'webWidth', 'quality', 'minWidth']) {
+        if (!Number.isInteger(opts[key]) || opts[key] <= 0) throw new Error(`Invalid value for ${key}`);
+    }
+    return opts;
+}
+
+// Pano folders of every property; "panos" paths are relative to tour/index.html
+function registryFolders() {
+    const registry = JSON.parse(readFileSync(registryPath, 'utf8'));
+    return Object.entries(registry.properties || {}).map(([id, property]) => {
+        if (typeof property.panos !== 'string') throw new Error(`Property "${id}" has no "panos" folder`);
+        return join(rootDir, 'tour', property.panos);
+    });
+}
 
 function trailingNumber(filename) {
     const match = filename.replace(/\.\w+$/, '').match(/(\d+)$/);
     return match ? parseInt(match[1], 10) : Infinity;
 }
 
-const files = readdirSync(panoDir)
-    .filter(f => /\.jpe?g$/i.test(f))
-    .sort((a, b) => trailingNumber(a) - trailingNumber(b));
+// --- JPEG headers ---
+
+// Walks the JPEG markers up to the image data; returns dimensions and raw XMP / EXIF
+function readJpegInfo(buf) {
+    if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) throw new Error('not a JPEG file');
+    const info = { width: 0, height: 0, xmp: null, exif: null };
+    let pos = 2;
+    while (pos + 4 <= buf.length) {
+        if (buf[pos] !== 0xff) throw new Error(`corrupt marker at byte ${pos}`);
+        const marker = buf[pos + 1];
+        if (marker === 0xff) { pos++; continue; }
+        if (marker === 0xd9 || marker === 0xda) break; // end of image / start of scan
+        const length = buf.readUInt16BE(pos + 2);
+        const body = buf.subarray(pos + 4, pos + 2 + length);
+        if (pos + 2 + length > buf.length) throw new Error('file is truncated');
+
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            info.height = body.readUInt16BE(1);
+            info.width = body.readUInt16BE(3);
+        } else if (marker === 0xe1) {
+            const header = body.subarray(0, 29).toString('latin1');
+            if (header.startsWith('Exif\0\0')) info.exif = body.subarray(6);
+            else if (header.startsWith('http://ns.adobe.com/xap/1.0/\0')) info.xmp = body.subarray(29).toString('utf8');
+        }
+        pos += 2 + length;
+    }
+    if (!info.width || !info.height) throw new Error('no image size found (missing SOF marker)');
+    return info;
+}
+
+// XMP values may be written as attributes (GPano:Foo="1") or elements (<GPano:Foo>1</GPano:Foo>)
+function xmpValue(xmp, name) {
+    if (!xmp) return null;
+    const attr = xmp.match(new RegExp(`${name}\\s*=\\s*"([^"]*)"`));
+    if (attr) return attr[1];
+    const elem = xmp.match(new RegExp(`<${name}>\\s*(?:<rdf:Alt>\\s*<rdf:li[^>]*>)?([^<]*)<`));
+    return elem ? elem[1].trim() : null;
+}
+
+function xmpNumber(xmp, name) {
+    const value = xmpValue(xmp, name);
+    const num = value === null ? NaN : parseFloat(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+// DateTimeOriginal (0x9003) from the EXIF sub-IFD, as an ISO-like string
+function exifCaptureTime(tiff) {
+    if (!tiff || tiff.length < 8) return null;
+    const le = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = o => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+    const u32 = o => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+
+    const findTag = (ifd, tag) => {
+        if (ifd + 2 > tiff.length) return null;
+        const count = u16(ifd);
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (entry + 12 > tiff.length) return null;
+            if (u16(entry) === tag) return entry;
+        }
+        return null;
+    };
+
+    try {
+        const exifPointer = findTag(u32(4), 0x8769);
+        if (exifPointer === null) return null;
+        const entry = findTag(u32(exifPointer + 8), 0x9003);
+        if (entry === null) return null;
+        const text = tiff.toString('latin1', u32(entry + 8), u32(entry + 8) + 19);
+        const m = text.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})$/);
+        return m ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}` : null;
+    } catch (_) {
+        return null; // a broken EXIF block isn't worth rejecting the capture over
+    }
+}
+
+// Run-together room names as they tend to appear in capture file names
+const ROOM_WORDS = { livingroom: 'living room', diningroom: 'dining room', familyroom: 'family room', laundryroom: 'laundry room' };
+
+function deriveLabel(file, xmp) {
+    const title = xmpValue(xmp, 'dc:title');
+    if (title) return title;
+    const words = file
+        .replace(/[-_ ]*\d*\.\w+$/, '')
+        .split(/[-_ ]+/)
+        .map(word => ROOM_WORDS[word.toLowerCase()] || word.toLowerCase())
+        .join(' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// --- ingestion ---
+
+function inspect(panoDir, file, opts) {
+    const errors = [];
+    const warnings = [];
+    const buf = readFileSync(join(panoDir, file));
+
+    let info;
+    try {
+        info = readJpegInfo(buf);
+    } catch (err) {
+        errors.push(`unreadable: ${err.message}`);
+        return { file, errors, warnings };
+    }
+
+    if (info.width !== info.height * 2) {
+        errors.push(`${info.width}x${info.height} is not 2:1 (equirectangular panoramas only)`);
+    } else if (info.width < opts.minWidth) {
+        warnings.push(`only ${info.width}px wide (recommended ${opts.minWidth}px or more)`);
+    }
+    if (!Number.isFinite(trailingNumber(file))) {
+        errors.push('file name has no trailing scene number (e.g. kitchen-4.jpg)');
+    }
 
-const manifest = { files, count: files.length };
-const outPath = join(panoDir, 'manifest.json');
-writeFileSync(outPath, JSON.stringify(manifest, null, 2) + '\n');
-console.log(`Wrote ${outPath} with ${files.length} panoramas.`);
+    const projection = xmpValue(info.xmp, 'GPano:ProjectionType');
+    if (projection && projection !== 'equirectangular') {
+        errors.push(`GPano:ProjectionType is "${projection}"`);
+    }
+    if (!info.xmp || !/GPano:/.test(info.xmp)) warnings.push('no GPano metadata');
+
+    const fullWidth = xmpNumber(info.xmp, 'GPano:FullPanoWidthPixels');
+    const croppedWidth = xmpNumber(info.xmp, 'GPano:CroppedAreaImageWidthPixels');
+    if (fullWidth && croppedWidth && croppedWidth < fullWidth) {
+        errors.push(`partial panorama (${croppedWidth} of ${fullWidth}px cropped width)`);
+    }
+
+    const scene = {
+        index: trailingNumber(file),
+        file,
+        label: deriveLabel(file, info.xmp),
+        width: info.width,
+        height: info.height,
+        bytes: buf.length
+    };
+    const heading = xmpNumber(info.xmp, 'GPano:PoseHeadingDegrees');
+    const pitch = xmpNumber(info.xmp, 'GPano:PosePitchDegrees');
+    const roll = xmpNumber(info.xmp, 'GPano:PoseRollDegrees');
+    if (heading !== null) scene.heading = heading;
+    if (pitch !== null || roll !== null) scene.pose = { pitch: pitch ?? 0, roll: roll ?? 0 };
+    const captured = xmpValue(info.xmp, 'GPano:FirstPhotoDate')
+        || xmpValue(info.xmp, 'xmp:CreateDate')
+        || exifCaptureTime(info.exif);
+    if (captured) scene.captured = captured;
+
+    return { file, scene, errors, warnings };
+}
+
+async function loadSharp() {
+    try {
+        return (await import('sharp')).default;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Re-encodes only when the source is newer than the existing variant
+async function writeVariant(sharp, panoDir, file, folder, width, quality) {
+    const rel = `${folder}/${file.replace(/\.\w+$/, '.jpg')}`;
+    const out = join(panoDir, rel);
+    if (existsSync(out) && statSync(out).mtimeMs >= statSync(join(panoDir, file)).mtimeMs) return rel;
+    mkdirSync(join(panoDir, folder), { recursive: true });
+    await sharp(join(panoDir, file))
+        .resize(width, width / 2)
+        .jpeg({ quality, mozjpeg: true })
+        .toFile(out);
+    return rel;
+}
+
+function printReport(results) {
+    for (const { file, errors, warnings } of results) {
+        for (const msg of errors) console.error(`  ERROR    ${file}: ${msg}`);
+        for (const msg of warnings) console.warn(`  warning  ${file}: ${msg}`);
+    }
+}
+
+// Returns false (after printing the report) when the folder has malformed images
+async function ingestFolder(panoDir, opts, sharp) {
+    const files = readdirSync(panoDir)
+        .filter(f => /\.jpe?g$/i.test(f))
+        .sort((a, b) => trailingNumber(a) - trailingNumber(b));
+
+    const results = files.map(file => inspect(panoDir, file, opts));
+
+    // Two captures claiming the same scene number would silently shadow each other
+    const byIndex = new Map();
+    for (const result of results) {
+        if (!result.scene || !Number.isFinite(result.scene.index)) continue;
+        const other = byIndex.get(result.scene.index);
+        if (other) result.errors.push(`scene number ${result.scene.index} is also used by ${other}`);
+        else byIndex.set(result.scene.index, result.file);
+    }
+
+    printReport(results);
+    const failed = results.filter(r => r.errors.length);
+    if (failed.length) {
+        console.error(`${failed.length} of ${files.length} panoramas are malformed; manifest.json was not written.`);
+        return false;
+    }
+
+    const scenes = [];
+    const tiles = {};
+    for (const { file, scene } of results) {
+        const folder = 'tiles/' + file.replace(/\.\w+$/, '');
+        if (existsSync(join(panoDir, folder, 'tiles.json'))) {
+            tiles[file] = folder;
+            scene.tiles = folder;
+        }
+        if (sharp) {
+            scene.thumb = await writeVariant(sharp, panoDir, file, 'thumbs', opts.thumbWidth, opts.quality);
+            if (scene.width > opts.webWidth) {
+                scene.web = await writeVariant(sharp, panoDir, file, 'web', opts.webWidth, opts.quality);
+            }
+        }
+        scenes.push(scene);
+    }
+
+    const manifest = { version: 2, files, count: files.length };
+    if (Object.keys(tiles).length) manifest.tiles = tiles;
+    manifest.scenes = scenes;
+    const outPath = join(panoDir, 'manifest.json');
+    writeFileSync(outPath, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${outPath} with ${files.length} panoramas.`);
+    return true;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const folders = opts.all ? registryFolders() : opts.folders;
+if (folders.length === 0) folders.push(join(rootDir, '360_casa'));
+for (const panoDir of folders) {
+    if (!existsSync(panoDir) || !statSync(panoDir).isDirectory()) {
+        console.error(`${panoDir} is not a folder.`);
+        process.exit(1);
+    }
+}
+
+const sharp = opts.variants ? await loadSharp() : null;
+if (opts.variants && !sharp) {
+    console.warn('sharp is not installed (npm install sharp): skipping thumbnails and web variants.');
+}
+
+let ok = true;
+for (const panoDir of folders) {
+    console.log(`${relative(rootDir, panoDir) || '.'}/`);
+    if (!(await ingestFolder(panoDir, opts, sharp))) ok = false;
+}
+if (!ok) process.exit(1);
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Slices the equirectangular panoramas of one or more pano folders into a
+ * multi-resolution cube-face tile pyramid for the tiled panorama renderer
+ * (tour/tiled-pano.js). Defaults to 360_casa/; --all takes every property's
+ * "panos" folder from tour/properties.json.
+ *
+ * For each <name>.jpg it writes <folder>/tiles/<name>/:
+ *   tiles.json                 descriptor (tile size, faces, levels, path pattern)
+ *   <level>/<face>_<y>_<x>.jpg tiles, level 0 = one tile per face
+ *
+ * Requires sharp (npm install sharp). Re-run generate_pano_manifest.mjs
+ * afterwards so the manifest points the viewer at the new tiles.
+ *
+ * Usage:  node scripts/generate_pano_tiles.mjs [--tile 512] [--quality 82]
+ *             [--all | folder ...] [file.jpg ...]
+ * Named files are looked up in every folder that has them; without any, each
+ * folder's .jpg files are all tiled.
+ */
+import { readdirSync, readFileSync, existsSync, statSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join, dirname, basename, resolve, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rootDir = join(__dirname, '..');
+const registryPath = join(rootDir, 'tour', 'properties.json');
+
+// Cube faces as seen from the centre, in the viewer's world axes. Must match
+// CUBE_FACES in tour/tiled-pano.js. right = center x up.
+const CUBE_FACES = [
+    { id: 'px', center: [1, 0, 0],  right: [0, 0, 1],  up: [0, 1, 0] },
+    { id: 'nx', center: [-1, 0, 0], right: [0, 0, -1], up: [0, 1, 0] },
+    { id: 'py', center: [0, 1, 0],  right: [1, 0, 0],  up: [0, 0, 1] },
+    { id: 'ny', center: [0, -1, 0], right: [1, 0, 0],  up: [0, 0, -1] },
+    { id: 'pz', center: [0, 0, 1],  right: [-1, 0, 0], up: [0, 1, 0] },
+    { id: 'nz', center: [0, 0, -1], right: [1, 0, 0],  up: [0, 1, 0] }
+];
+
+function parseArgs(argv) {
+    const opts = { tileSize: 512, quality: 82, all: false, folders: [], files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--tile') opts.tileSize = parseInt(argv[++i], 10);
+        else if (argv[i] === '--quality') opts.quality = parseInt(argv[++i], 10);
+        else if (argv[i] === '--all') opts.all = true;
+        else if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+        else if (/\.jpe?g$/i.test(argv[i])) opts.files.push(basename(argv[i]));
+        else opts.folders.push(resolve(argv[i]));
+    }
+    if (!Number.isInteger(opts.tileSize) || opts.tileSize < 64) {
+        throw new Error('--tile must be an integer >= 64');
+    }
+    return opts;
+}
+
+// Pano folders of every property; "panos" paths are relative to tour/index.html
+function registryFolders() {
+    const registry = JSON.parse(readFileSync(registryPath, 'utf8'));
+    return Object.entries(registry.properties || {}).map(([id, property]) => {
+        if (typeof property.panos !== 'string') throw new Error(`Property "${id}" has no "panos" folder`);
+        return join(rootDir, 'tour', property.panos);
+    });
+}
+
+async function loadSharp() {
+    try {
+        return (await import('sharp')).default;
+    } catch (_) {
+        console.error('This script needs sharp: run `npm install sharp` and try again.');
+        process.exit(1);
+    }
+}
+
+// Render one cube face at `size` px by bilinear sampling of the equirectangular image.
+// Direction -> equirect uses the same convention as the viewer's sphere:
+// u = atan2(z, x) / 2pi, v = acos(y) / pi (v = 0 at the top row).
+function renderFace(src, width, height, face, size) {
+    const out = Buffer.alloc(size * size * 3);
+    const [cx, cy, cz] = face.center;
+    const [rx, ry, rz] = face.right;
+    const [ux, uy, uz] = face.up;
+
+    for (let j = 0; j < size; j++) {
+        const b = 1 - (2 * (j + 0.5)) / size;
+        for (let i = 0; i < size; i++) {
+            const a = (2 * (i + 0.5)) / size - 1;
+            const x = cx + a * rx + b * ux;
+            const y = cy + a * ry + b * uy;
+            const z = cz + a * rz + b * uz;
+            const len = Math.sqrt(x * x + y * y + z * z);
+
+            let u = Math.atan2(z, x) / (2 * Math.PI);
+            if (u < 0) u += 1;
+            const v = Math.acos(Math.max(-1, Math.min(1, y / len))) / Math.PI;
+
+            const px = u * width - 0.5;
+            const py = Math.max(0, Math.min(height - 1, v * height - 0.5));
+            const x0 = Math.floor(px);
+            const y0 = Math.floor(py);
+            const fx = px - x0;
+            const fy = py - y0;
+            const xa = (x0 + width) % width;
+            const xb = (x0 + 1) % width;
+            const ya = y0;
+            const yb = Math.min(height - 1, y0 + 1);
+
+            const o = (j * size + i) * 3;
+            for (let c = 0; c < 3; c++) {
+                const top = src[(ya * width + xa) * 3 + c] * (1 - fx) + src[(ya * width + xb) * 3 + c] * fx;
+                const bottom = src[(yb * width + xa) * 3 + c] * (1 - fx) + src[(yb * width + xb) * 3 + c] * fx;
+                out[o + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+    }
+    return out;
+}
+
+async function tileImage(sharp, panoDir, file, opts) {
+    const { data, info } = await sharp(join(panoDir, file))
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    if (info.width !== info.height * 2) {
+        throw new Error(`${file} is ${info.width}x${info.height}, expected a 2:1 equirectangular image`);
+    }
+
+    // Top level keeps roughly the source resolution at the face centre (width / pi)
+    const { tileSize } = opts;
+    const maxLevel = Math.max(0, Math.round(Math.log2(info.width / Math.PI / tileSize)));
+    const levels = [];
+    for (let k = 0; k <= maxLevel; k++) {
+        levels.push({ size: tileSize * 2 ** k, tiles: 2 ** k });
+    }
+
+    const name = file.replace(/\.\w+$/, '');
+    const outDir = join(panoDir, 'tiles', name);
+    rmSync(outDir, { recursive: true, force: true });
+
+    const topSize = levels[maxLevel].size;
+    for (const face of CUBE_FACES) {
+        const faceBuf = renderFace(data, info.width, info.height, face, topSize);
+        const raw = { raw: { width: topSize, height: topSize, channels: 3 } };
+
+        for (let k = 0; k <= maxLevel; k++) {
+            const { size, tiles } = levels[k];
+            const levelBuf = size === topSize
+                ? faceBuf
+                : await sharp(faceBuf, raw).resize(size, size).raw().toBuffer();
+            const levelRaw = { raw: { width: size, height: size, channels: 3 } };
+            mkdirSync(join(outDir, String(k)), { recursive: true });
+
+            for (let y = 0; y < tiles; y++) {
+                for (let x = 0; x < tiles; x++) {
+                    await sharp(levelBuf, levelRaw)
+                        .extract({ left: x * tileSize, top: y * tileSize, width: tileSize, height: tileSize })
+                        .jpeg({ quality: opts.quality, mozjpeg: true })
+                        .toFile(join(outDir, String(k), `${face.id}_${y}_${x}.jpg`));
+                }
+            }
+        }
+    }
+
+    const descriptor = {
+        version: 1,
+        source: file,
+        tileSize,
+        faces: CUBE_FACES.map(f => f.id),
+        levels,
+        path: '{level}/{face}_{y}_{x}.jpg'
+    };
+    writeFileSync(join(outDir, 'tiles.json'), JSON.stringify(descriptor, null, 2) + '\n');
+    return { name, levels };
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const folders = opts.all ? registryFolders() : opts.folders;
+if (folders.length === 0) folders.push(join(rootDir, '360_casa'));
+for (const panoDir of folders) {
+    if (!existsSync(panoDir) || !statSync(panoDir).isDirectory()) {
+        console.error(`${panoDir} is not a folder.`);
+        process.exit(1);
+    }
+}
+
+const sharp = await loadSharp();
+
+for (const panoDir of folders) {
+    const jpegs = readdirSync(panoDir).filter(f => /\.jpe?g$/i.test(f));
+    const files = opts.files.length ? opts.files.filter(f => jpegs.includes(f)) : jpegs;
+    console.log(`${relative(rootDir, panoDir) || '.'}/`);
+    for (const file of files) {
+        const { name, levels } = await tileImage(sharp, panoDir, file, opts);
+        const top = levels[levels.length - 1];
+        console.log(`${file}: ${levels.length} levels, top ${top.size}px/face -> tiles/${name}/`);
+    }
+    console.log(`Tiled ${files.length} panoramas into ${join(panoDir, 'tiles')}`);
+}
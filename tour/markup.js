@@ -0,0 +1,275 @@
+/**
+ * Thalassa Stone Rooms - Tour markup
+ * Overlays and controls a TourViewer puts into its container. Elements are
+ * found by data-ref within the container, so several tours can share a page.
+ */
+
+export const TOUR_MARKUP = `
+<!-- Loading Overlay -->
+<div class="loading-overlay" data-ref="loadingOverlay">
+    <div class="loading-content">
+        <div class="loading-spinner"></div>
+        <h2>Loading 3D Tour</h2>
+        <div class="loading-progress">
+            <div class="progress-bar" data-ref="progressBar"></div>
+        </div>
+        <p class="loading-percent" data-ref="loadingPercent">0%</p>
+        <p class="loading-hint">Preparing your virtual experience...</p>
+    </div>
+</div>
+
+<!-- Error Overlay -->
+<div class="error-overlay" data-ref="errorOverlay">
+    <div class="error-content">
+        <div class="error-icon">!</div>
+        <h2>Unable to Load 3D Model</h2>
+        <p data-ref="errorMessage">The 3D model could not be loaded. Please try refreshing the page.</p>
+        <button class="btn" onclick="location.reload()">Try Again</button>
+    </div>
+</div>
+
+<!-- Shown while the browser has taken the GPU away (e.g. switching apps on a phone) -->
+<div class="context-overlay" data-ref="contextOverlay" role="status">
+    <div class="error-content">
+        <p>The 3D view was interrupted. Restoring...</p>
+        <button class="btn" data-ref="contextReload">Reload</button>
+    </div>
+</div>
+
+<!-- 3D Canvas Container -->
+<div class="canvas-container" data-ref="canvasContainer"></div>
+
+<!-- Keyboard / screen reader layer: a button for each hotspot, link and info point -->
+<div class="a11y-layer" data-ref="a11yLayer" role="group" aria-label="Tour locations"></div>
+<div class="sr-only" data-ref="a11yStatus" role="status" aria-live="polite"></div>
+
+<!-- Dollhouse UI Controls -->
+<div class="tour-ui">
+    <!-- Header -->
+    <div class="tour-header">
+        <h1 class="tour-title" data-ref="tourTitle">Thalassa Stone Rooms</h1>
+        <button class="play-tour-btn" data-ref="playTourBtn" title="Play guided tour">
+            <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14">
+                <path d="M7 4l13 8-13 8z"/>
+            </svg>
+            Play tour
+        </button>
+        <button class="vr-btn" data-ref="vrBtn" title="View in a VR headset">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18">
+                <path d="M3 8a2 2 0 012-2h14a2 2 0 012 2v7a2 2 0 01-2 2h-4l-2-3h-2l-2 3H5a2 2 0 01-2-2V8z"/>
+                <circle cx="8" cy="11.5" r="1.5"/><circle cx="16" cy="11.5" r="1.5"/>
+            </svg>
+            Enter VR
+        </button>
+        <button class="fullscreen-btn" data-ref="fullscreenBtn" title="Toggle Fullscreen">
+            <svg class="icon-expand" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M8 3H5a2 2 0 00-2 2v3m18 0V5a2 2 0 00-2-2h-3m0 18h3a2 2 0 002-2v-3M3 16v3a2 2 0 002 2h3"/>
+            </svg>
+            <svg class="icon-compress" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M8 3v3a2 2 0 01-2 2H3m18 0h-3a2 2 0 01-2-2V3m0 18v-3a2 2 0 012-2h3M3 16h3a2 2 0 012 2v3"/>
+            </svg>
+        </button>
+    </div>
+
+    <!-- Teleport Spots -->
+    <div class="teleport-panel" data-ref="teleportPanel">
+        <p class="panel-label">Jump to Location</p>
+        <div class="teleport-spots" data-ref="teleportSpots">
+            <!-- Populated by JavaScript -->
+        </div>
+        <div class="teleport-spots floor-selector" data-ref="floorSelector">
+            <!-- Populated by JavaScript when the tour has several floors -->
+        </div>
+    </div>
+
+    <!-- Dollhouse tools: section / cutaway and measurement -->
+    <div class="dollhouse-tools" data-ref="dollhouseTools">
+        <div class="section-panel" data-ref="sectionPanel">
+            <button class="section-toggle" data-ref="sectionToggle" aria-expanded="false" title="Section view">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18">
+                    <path d="M3 7l9-4 9 4-9 4-9-4zM3 12l9 4 9-4M3 17l9 4 9-4"/>
+                </svg>
+                Section
+            </button>
+            <div class="section-controls">
+                <label class="section-row">
+                    <span>Height</span>
+                    <input type="range" data-section="height" min="0" max="1" step="0.005" value="1">
+                </label>
+                <label class="section-row">
+                    <span>X</span>
+                    <input type="range" data-section="x" min="0" max="1" step="0.005" value="0">
+                    <button class="section-flip" data-flip="x" title="Cut from the other side">&#8646;</button>
+                </label>
+                <label class="section-row">
+                    <span>Z</span>
+                    <input type="range" data-section="z" min="0" max="1" step="0.005" value="0">
+                    <button class="section-flip" data-flip="z" title="Cut from the other side">&#8646;</button>
+                </label>
+                <label class="section-check">
+                    <input type="checkbox" data-ref="sectionOutline" checked>
+                    Outline cut edges
+                </label>
+                <button class="spot-btn" data-ref="sectionReset">Reset</button>
+            </div>
+        </div>
+        <div class="measure-panel" data-ref="measurePanel">
+            <button class="section-toggle" data-ref="measureToggle" aria-pressed="false" title="Measure distances and areas">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18">
+                    <path d="M3 17L17 3l4 4L7 21l-4-4zM7 13l2 2M10 10l2 2M13 7l2 2"/>
+                </svg>
+                Measure
+            </button>
+            <div class="measure-controls">
+                <div class="measure-tools">
+                    <button class="spot-btn" data-measure-tool="distance">Distance</button>
+                    <button class="spot-btn" data-measure-tool="area">Area</button>
+                </div>
+                <p class="measure-status" data-ref="measureStatus"></p>
+                <div class="measure-actions">
+                    <button class="spot-btn" data-ref="measureFinish">Finish</button>
+                    <button class="spot-btn" data-ref="measureUndo">Undo</button>
+                    <button class="spot-btn" data-ref="measureClear">Clear</button>
+                    <button class="spot-btn" data-ref="measureExport">Export JSON</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Measurement labels, positioned over the canvas every frame -->
+    <div class="measure-labels" data-ref="measureLabels"></div>
+
+    <!-- Controls Hint -->
+    <div class="controls-hint" data-ref="controlsHint">
+        <span class="hint-desktop">
+            <kbd>Drag</kbd> to rotate &nbsp;|&nbsp; <kbd>Scroll</kbd> to zoom &nbsp;|&nbsp; <kbd>Right-drag</kbd> to pan &nbsp;|&nbsp; <kbd>Arrows</kbd> / <kbd>WASD</kbd> to orbit &nbsp;|&nbsp; Click hotspot for 360&deg; view
+        </span>
+        <span class="hint-mobile">
+            <span>1 finger: rotate</span> &nbsp;|&nbsp; <span>Pinch: zoom</span> &nbsp;|&nbsp; <span>Tap hotspot for 360&deg;</span>
+        </span>
+        <button class="hint-close" data-ref="hintClose" title="Dismiss">&times;</button>
+    </div>
+
+    <!-- Notice for guests when part of the tour is unavailable -->
+    <div class="tour-notice" data-ref="tourNotice" role="status"></div>
+
+    <!-- Diagnostics Panel (?debug=1 or ?edit=1) -->
+    <div class="diagnostics-panel" data-ref="diagnosticsPanel">
+        <div class="diagnostics-header">
+            <p class="panel-label">Tour Diagnostics</p>
+            <button class="hint-close" data-ref="diagnosticsClose" title="Close">&times;</button>
+        </div>
+        <ul class="diagnostics-list" data-ref="diagnosticsList"></ul>
+        <p class="diagnostics-memory" data-ref="diagnosticsMemory"></p>
+    </div>
+
+    <!-- Editor Panel (authoring mode, ?edit=1) -->
+    <div class="editor-panel" data-ref="editorPanel">
+        <p class="panel-label">Hotspot Editor</p>
+        <div class="editor-tools">
+            <button class="spot-btn" data-tool="place">Place</button>
+            <button class="spot-btn" data-tool="link">Link</button>
+            <button class="spot-btn" data-tool="view">Preview</button>
+        </div>
+        <div class="editor-scenes" data-ref="editorScenes">
+            <!-- Populated by JavaScript -->
+        </div>
+        <p class="editor-status" data-ref="editorStatus"></p>
+        <div class="editor-actions">
+            <button class="spot-btn" data-ref="editorRemove">Remove hotspot</button>
+            <button class="spot-btn" data-ref="editorReset">Reset</button>
+            <button class="spot-btn" data-ref="editorExportHotspots">Export hotspots.json</button>
+            <button class="spot-btn" data-ref="editorExportTour">Export tour.json</button>
+        </div>
+    </div>
+
+</div>
+
+<!-- Guided tour player: caption and controls while the tour plays -->
+<div class="guided-bar" data-ref="guidedBar">
+    <p class="guided-caption" data-ref="guidedCaption" aria-live="polite"></p>
+    <div class="guided-controls">
+        <span class="guided-step" data-ref="guidedStepLabel"></span>
+        <button class="spot-btn" data-ref="guidedToggle">Pause</button>
+        <button class="spot-btn" data-ref="guidedStop">Stop</button>
+    </div>
+</div>
+
+<!-- Panorama Overlay UI (visible when inside a 360 pano) -->
+<div class="pano-overlay" data-ref="panoOverlay">
+    <div class="pano-header">
+        <button class="pano-back-btn" data-ref="panoBackBtn">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                <path d="M19 12H5M12 19l-7-7 7-7"/>
+            </svg>
+            <!-- Back to Dollhouse --> <!-- TODO check again later -->
+        </button>
+        <span class="pano-label" data-ref="panoLabel"></span>
+        <button class="gyro-btn" data-ref="gyroToggle" title="Look around by moving your phone" aria-pressed="false">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18">
+                <rect x="7" y="3" width="10" height="18" rx="2"/>
+                <path d="M3 9a9 9 0 000 6M21 9a9 9 0 010 6"/>
+            </svg>
+            Motion
+        </button>
+        <button class="vr-btn" data-ref="panoVrBtn" title="View in a VR headset">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18">
+                <path d="M3 8a2 2 0 012-2h14a2 2 0 012 2v7a2 2 0 01-2 2h-4l-2-3h-2l-2 3H5a2 2 0 01-2-2V8z"/>
+                <circle cx="8" cy="11.5" r="1.5"/><circle cx="16" cy="11.5" r="1.5"/>
+            </svg>
+            VR
+        </button>
+        <div class="pano-compass" data-ref="panoCompass">
+            <div class="compass-rose" data-ref="panoCompassRose">
+                <span class="compass-n">N</span>
+                <span class="compass-e">E</span>
+                <span class="compass-s">S</span>
+                <span class="compass-w">W</span>
+            </div>
+            <span class="compass-needle"></span>
+            <span class="compass-heading" data-ref="panoCompassHeading"></span>
+        </div>
+    </div>
+    <!-- North offset calibration (authoring mode, ?edit=1) -->
+    <div class="calibrate-panel" data-ref="calibratePanel">
+        <button class="spot-btn" data-ref="calibrateToggle">Calibrate north</button>
+        <button class="spot-btn" data-ref="calibrateReciprocal">Apply to linked scenes</button>
+        <button class="spot-btn" data-ref="infoPlace">Add info point</button>
+        <button class="spot-btn" data-ref="calibrateExport">Export tour.json</button>
+        <span class="calibrate-readout" data-ref="calibrateReadout"></span>
+    </div>
+    <div class="pano-toast" data-ref="panoToast" role="status"></div>
+    <!-- Info point card -->
+    <div class="info-card" data-ref="infoCard" role="dialog">
+        <button class="info-card-close" data-ref="infoCardClose" aria-label="Close">&times;</button>
+        <img class="info-card-image" data-ref="infoCardImage" alt="" hidden>
+        <h3 class="info-card-title" data-ref="infoCardTitle"></h3>
+        <div class="info-card-text" data-ref="infoCardText"></div>
+        <a class="info-card-link" data-ref="infoCardLink" target="_blank" rel="noopener" hidden></a>
+        <div class="info-card-edit">
+            <button class="spot-btn" data-ref="infoCardEdit">Edit</button>
+            <button class="spot-btn" data-ref="infoCardDelete">Delete</button>
+        </div>
+    </div>
+    <!-- Floor plan minimap -->
+    <div class="pano-minimap" data-ref="panoMinimap">
+        <svg data-ref="panoMinimapSvg" role="img" aria-label="Floor plan"></svg>
+    </div>
+    <!-- Pano loading progress / error -->
+    <div class="pano-loading" data-ref="panoLoading">
+        <div class="loading-progress">
+            <div class="progress-bar" data-ref="panoProgressBar"></div>
+        </div>
+        <p class="pano-loading-text" data-ref="panoLoadingText"></p>
+    </div>
+    <div class="pano-error" data-ref="panoError">
+        <div class="error-icon">!</div>
+        <p data-ref="panoErrorMessage"></p>
+        <div class="pano-error-actions">
+            <button class="btn" data-ref="panoErrorRetry">Try again</button>
+            <button class="btn btn-secondary" data-ref="panoErrorBack">Back to dollhouse</button>
+        </div>
+    </div>
+    <div class="pano-hint">Drag to look around &nbsp;|&nbsp; Click arrows to navigate</div>
+</div>
+`;
@@ -0,0 +1,272 @@
+/**
+ * Thalassa Stone Rooms - Panorama look controls
+ * Drag to look with inertia, wheel / pinch zoom that eases toward its target
+ * and keeps the point under the cursor in place, and pitch / zoom limits.
+ * The view itself (yaw, pitch, fov in degrees) stays with the caller, which
+ * hands it over through getView / setView.
+ */
+
+import * as THREE from 'three';
+
+export const DEFAULT_LIMITS = { minFov: 30, maxFov: 100, minPitch: -85, maxPitch: 85 };
+
+const INERTIA_WINDOW_MS = 80;     // a drag that paused longer than this releases without a throw
+const MIN_SPEED = 1;              // deg/s below which a throw stops
+const WHEEL_LINE = 16;            // px per wheel line (deltaMode 1)
+const WHEEL_PAGE = 800;           // px per wheel page (deltaMode 2)
+
+export class PanoControls {
+    /**
+     * @param {HTMLElement} element  receives the pointer and wheel events
+     * @param {THREE.PerspectiveCamera} camera  used to find the view ray under the cursor
+     * @param {object} options {
+     *   getView     () => { yaw, pitch, fov }
+     *   setView     ({ yaw, pitch, fov }) => void, applies the view to the camera
+     *   isEnabled   () => boolean, checked on every event and frame
+     *   onLook      (dYaw) => void, after a drag / throw / zoom turned the view
+     *   onEnd       () => void, the view came to rest after user input
+     *   limits      { minFov, maxFov, minPitch, maxPitch }
+     *   dragSpeed   1 = the image follows the pointer
+     *   friction    1/s decay of a throw
+     *   zoomSpeed   wheel zoom per pixel of scroll
+     *   zoomDamping s, time constant of the wheel zoom ease
+     * }
+     */
+    constructor(element, camera, options) {
+        this.element = element;
+        this.camera = camera;
+        this.getView = options.getView;
+        this.setView = options.setView;
+        this.isEnabled = options.isEnabled || (() => true);
+        this.onLook = options.onLook || (() => {});
+        this.onEnd = options.onEnd || (() => {});
+        this.limits = { ...DEFAULT_LIMITS };
+        this.setLimits(options.limits);
+        this.dragSpeed = options.dragSpeed ?? 1;
+        this.friction = options.friction ?? 5;
+        this.zoomSpeed = options.zoomSpeed ?? 0.001;
+        this.zoomDamping = options.zoomDamping ?? 0.1;
+        this.inertia = true;
+
+        this.pointers = new Map();        // pointerId -> { x, y }
+        this.velocity = { yaw: 0, pitch: 0 };
+        this.lastMove = 0;
+        this.pinchDist = 0;
+        this.zoomTarget = null;           // fov the wheel is easing toward
+        this.zoomAnchor = new THREE.Vector2();
+        this.moving = false;              // something to report to onEnd
+        this.lastFrame = 0;
+
+        this._ray = new THREE.Vector3();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        element.addEventListener('pointerdown', this.onPointerDown);
+        element.addEventListener('pointermove', this.onPointerMove);
+        element.addEventListener('pointerup', this.onPointerUp);
+        element.addEventListener('pointercancel', this.onPointerUp);
+        element.addEventListener('wheel', this.onWheel, { passive: false });
+    }
+
+    /** Replaces some or all of the limits and pulls the view inside them. */
+    setLimits(limits = {}) {
+        Object.assign(this.limits, limits);
+        if (this.getView && this.isEnabled()) {
+            const view = this.getView();
+            this.setView({ ...view, pitch: this.clampPitch(view.pitch), fov: this.clampFov(view.fov) });
+        }
+    }
+
+    clampPitch(pitch) {
+        return THREE.MathUtils.clamp(pitch, this.limits.minPitch, this.limits.maxPitch);
+    }
+
+    clampFov(fov) {
+        return THREE.MathUtils.clamp(fov, this.limits.minFov, this.limits.maxFov);
+    }
+
+    /** Drops any drag, throw or zoom in progress (the view is being set elsewhere). */
+    stop() {
+        this.pointers.clear();
+        this.velocity.yaw = this.velocity.pitch = 0;
+        this.zoomTarget = null;
+        this.moving = false;
+    }
+
+    get dragging() {
+        return this.pointers.size > 0;
+    }
+
+    /** Call every frame with the frame time (ms): throws and wheel zoom. */
+    update(now) {
+        const dt = Math.min(0.1, (now - this.lastFrame) / 1000);
+        this.lastFrame = now;
+        if (!this.isEnabled()) {
+            this.stop();
+            return;
+        }
+
+        if (!this.dragging && (this.velocity.yaw || this.velocity.pitch)) {
+            const view = this.getView();
+            const pitch = this.clampPitch(view.pitch + this.velocity.pitch * dt);
+            if (pitch !== view.pitch + this.velocity.pitch * dt) this.velocity.pitch = 0;
+            this.look(view, view.yaw + this.velocity.yaw * dt, pitch, view.fov);
+
+            const decay = Math.exp(-this.friction * dt);
+            this.velocity.yaw *= decay;
+            this.velocity.pitch *= decay;
+            if (Math.hypot(this.velocity.yaw, this.velocity.pitch) < MIN_SPEED) {
+                this.velocity.yaw = this.velocity.pitch = 0;
+            }
+        }
+
+        if (this.zoomTarget !== null) {
+            const fov = this.getView().fov;
+            const k = 1 - Math.exp(-dt / this.zoomDamping);
+            let next = fov + (this.zoomTarget - fov) * k;
+            if (Math.abs(this.zoomTarget - next) < 0.01) {
+                next = this.zoomTarget;
+                this.zoomTarget = null;
+            }
+            this.zoomAt(this.zoomAnchor, next);
+        }
+
+        if (this.moving && !this.dragging && !this.velocity.yaw && !this.velocity.pitch && this.zoomTarget === null) {
+            this.moving = false;
+            this.onEnd();
+        }
+    }
+
+    dispose() {
+        this.element.removeEventListener('pointerdown', this.onPointerDown);
+        this.element.removeEventListener('pointermove', this.onPointerMove);
+        this.element.removeEventListener('pointerup', this.onPointerUp);
+        this.element.removeEventListener('pointercancel', this.onPointerUp);
+        this.element.removeEventListener('wheel', this.onWheel);
+        this.stop();
+    }
+
+    // --- input ---
+
+    onPointerDown(e) {
+        if (!this.isEnabled()) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.velocity.yaw = this.velocity.pitch = 0;
+        this.zoomTarget = null;
+        this.pinchDist = this.pointers.size === 2 ? this.pinchDistance() : 0;
+        this.lastMove = e.timeStamp;
+    }
+
+    onPointerMove(e) {
+        const last = this.pointers.get(e.pointerId);
+        if (!last) return;
+        if (!this.isEnabled()) {
+            this.stop();
+            return;
+        }
+        const dx = e.clientX - last.x;
+        const dy = e.clientY - last.y;
+        last.x = e.clientX;
+        last.y = e.clientY;
+        this.moving = true;
+
+        if (this.pointers.size >= 2) {
+            // Pinch: the fov follows the finger spread, centred between the fingers
+            const dist = this.pinchDistance();
+            if (this.pinchDist > 0 && dist > 0) {
+                const [a, b] = this.pointers.values();
+                this.setAnchor((a.x + b.x) / 2, (a.y + b.y) / 2);
+                this.zoomAt(this.zoomAnchor, this.clampFov(this.getView().fov * this.pinchDist / dist));
+            }
+            this.pinchDist = dist;
+            return;
+        }
+
+        // Degrees per pixel follow the zoom, so the image stays under the pointer
+        const view = this.getView();
+        const scale = this.dragSpeed * view.fov / Math.max(1, this.element.clientHeight);
+        const dYaw = -dx * scale;
+        const pitch = this.clampPitch(view.pitch + dy * scale);
+        const dPitch = pitch - view.pitch;
+        this.look(view, view.yaw + dYaw, pitch, view.fov);
+
+        // Throw speed: recent moves weigh most
+        const dt = (e.timeStamp - this.lastMove) / 1000;
+        this.lastMove = e.timeStamp;
+        if (dt > 0) {
+            this.velocity.yaw = this.velocity.yaw * 0.4 + (dYaw / dt) * 0.6;
+            this.velocity.pitch = this.velocity.pitch * 0.4 + (dPitch / dt) * 0.6;
+        }
+    }
+
+    onPointerUp(e) {
+        if (!this.pointers.delete(e.pointerId)) return;
+        this.pinchDist = 0;
+        if (this.pointers.size > 0) {
+            // Back to a one-finger drag; no throw out of a pinch
+            this.velocity.yaw = this.velocity.pitch = 0;
+            return;
+        }
+        if (!this.inertia || e.timeStamp - this.lastMove > INERTIA_WINDOW_MS) {
+            this.velocity.yaw = this.velocity.pitch = 0;
+        }
+    }
+
+    onWheel(e) {
+        if (!this.isEnabled()) return;
+        e.preventDefault();
+        const unit = e.deltaMode === 1 ? WHEEL_LINE : e.deltaMode === 2 ? WHEEL_PAGE : 1;
+        const from = this.zoomTarget ?? this.getView().fov;
+        this.zoomTarget = this.clampFov(from * Math.exp(e.deltaY * unit * this.zoomSpeed));
+        this.setAnchor(e.clientX, e.clientY);
+        this.moving = true;
+    }
+
+    // --- internals ---
+
+    look(view, yaw, pitch, fov) {
+        this.setView({ yaw, pitch, fov });
+        if (yaw !== view.yaw) this.onLook(yaw - view.yaw);
+    }
+
+    // Changes the fov and turns so the direction under the anchor stays put
+    zoomAt(anchor, fov) {
+        const view = this.getView();
+        if (fov === view.fov) return;
+        const before = this.rayAt(anchor);
+        this.setView({ ...view, fov });
+        const after = this.rayAt(anchor);
+
+        let dYaw = ((before.yaw - after.yaw) % 360 + 540) % 360 - 180;
+        // Near straight up or down the yaw under the cursor is meaningless
+        if (Math.abs(before.pitch) > 80) dYaw = 0;
+        this.look(view, view.yaw + dYaw, this.clampPitch(view.pitch + before.pitch - after.pitch), fov);
+    }
+
+    rayAt(anchor) {
+        this.camera.updateMatrixWorld();
+        const dir = this._ray.set(anchor.x, anchor.y, 0.5).unproject(this.camera)
+            .sub(this.camera.getWorldPosition(new THREE.Vector3()))
+            .normalize();
+        return {
+            yaw: THREE.MathUtils.radToDeg(Math.atan2(dir.z, dir.x)),
+            pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1)))
+        };
+    }
+
+    // Client coordinates -> normalised device coordinates of the element
+    setAnchor(clientX, clientY) {
+        const rect = this.element.getBoundingClientRect();
+        this.zoomAnchor.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+
+    pinchDistance() {
+        const [a, b] = this.pointers.values();
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
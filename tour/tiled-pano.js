@@ -0,0 +1,307 @@
+/**
+ * Thalassa Stone Rooms - Tiled panorama renderer
+ * Streams a cube-face tile pyramid made by scripts/generate_pano_tiles.mjs:
+ * level 0 (one tile per face) first, then only the visible tiles of the
+ * level the current zoom needs.
+ */
+
+import * as THREE from 'three';
+
+// Cube faces as seen from the centre. Must match CUBE_FACES in
+// scripts/generate_pano_tiles.mjs. right = center x up.
+const CUBE_FACES = {
+    px: { center: [1, 0, 0],  right: [0, 0, 1],  up: [0, 1, 0] },
+    nx: { center: [-1, 0, 0], right: [0, 0, -1], up: [0, 1, 0] },
+    py: { center: [0, 1, 0],  right: [1, 0, 0],  up: [0, 0, 1] },
+    ny: { center: [0, -1, 0], right: [1, 0, 0],  up: [0, 0, -1] },
+    pz: { center: [0, 0, 1],  right: [-1, 0, 0], up: [0, 1, 0] },
+    nz: { center: [0, 0, -1], right: [1, 0, 0],  up: [0, 1, 0] }
+};
+
+// Tiles above level 0 that stay out of view this long are released
+const EVICT_AFTER_MS = 4000;
+
+export function validateTileDescriptor(desc) {
+    if (!desc || typeof desc !== 'object') return 'descriptor must be an object';
+    if (!Number.isInteger(desc.tileSize) || desc.tileSize <= 0) return '"tileSize" must be a positive integer';
+    if (!Array.isArray(desc.faces) || desc.faces.length !== 6 || !desc.faces.every(f => CUBE_FACES[f])) {
+        return '"faces" must list the six cube faces (px, nx, py, ny, pz, nz)';
+    }
+    if (!Array.isArray(desc.levels) || desc.levels.length === 0) return '"levels" must be a non-empty array';
+    for (const [i, level] of desc.levels.entries()) {
+        if (!level || !Number.isInteger(level.tiles) || level.tiles < 1 || !Number.isFinite(level.size)) {
+            return `levels[${i}] must be { size, tiles }`;
+        }
+    }
+    if (typeof desc.path !== 'string') return '"path" must be a tile path pattern';
+    return null;
+}
+
+export class TiledPanorama {
+    /**
+     * @param {string} baseUrl   folder holding tiles.json
+     * @param {object} descriptor parsed tiles.json
+     * @param {object} [options] { radius, maxConcurrent, loader }
+     */
+    constructor(baseUrl, descriptor, options = {}) {
+        const problem = validateTileDescriptor(descriptor);
+        if (problem) throw new Error(`Invalid tiles.json: ${problem}`);
+
+        this.baseUrl = baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+        this.descriptor = descriptor;
+        this.radius = options.radius || 500;
+        this.maxConcurrent = options.maxConcurrent || 4;
+        this.loader = options.loader || new THREE.TextureLoader();
+
+        this.group = new THREE.Group();
+        this.opacity = 1;
+        this.level = 0;
+        this.disposed = false;
+
+        this.tiles = new Map();       // key -> { info, state, mesh, lastWanted }
+        this.queue = [];              // keys waiting for a loader slot
+        this.active = 0;
+        this.levelTiles = [];         // level -> tile layout, built lazily
+        this.levelGeometry = [];      // level -> shared PlaneGeometry
+
+        this._frustum = new THREE.Frustum();
+        this._projScreen = new THREE.Matrix4();
+        this._viewDir = new THREE.Vector3();
+        this._sphere = new THREE.Sphere();
+    }
+
+    /**
+     * Loads level 0 (all six faces). Resolves when the panorama can be shown.
+     * @param {function(number)} [onProgress] fraction of level 0 loaded, 0..1
+     */
+    loadBase(onProgress) {
+        const base = this.getLevelTiles(0);
+        return new Promise((resolve, reject) => {
+            let remaining = base.length;
+            for (const info of base) {
+                this.request(info, performance.now(), (ok) => {
+                    if (!ok) {
+                        reject(new Error(`Failed to load tile ${info.key}`));
+                        return;
+                    }
+                    remaining--;
+                    if (onProgress) onProgress((base.length - remaining) / base.length);
+                    if (remaining === 0) resolve();
+                });
+            }
+        });
+    }
+
+    /** Call every frame: picks the level for the zoom and streams visible tiles. */
+    update(camera, viewportHeight) {
+        if (this.disposed) return;
+        const now = performance.now();
+        const levels = this.descriptor.levels;
+
+        // Smallest level whose face resolution covers the screen density at this FOV
+        const needed = viewportHeight / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        let level = levels.length - 1;
+        for (let i = 0; i < levels.length; i++) {
+            if (levels[i].size >= needed) {
+                level = i;
+                break;
+            }
+        }
+        this.level = level;
+
+        camera.updateMatrixWorld();
+        this._projScreen.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this._frustum.setFromProjectionMatrix(this._projScreen);
+        camera.getWorldDirection(this._viewDir);
+
+        // Every level up to the chosen one, so zooming in refines progressively
+        const wanted = [];
+        for (let l = 1; l <= level; l++) {
+            for (const info of this.getLevelTiles(l)) {
+                this._sphere.set(info.center, info.boundRadius);
+                if (!this._frustum.intersectsSphere(this._sphere)) continue;
+                const entry = this.tiles.get(info.key);
+                if (entry) {
+                    entry.lastWanted = now;
+                } else {
+                    wanted.push(info);
+                }
+            }
+        }
+
+        // Nearest the view centre first, coarse levels before fine ones
+        wanted.sort((a, b) => (a.level - b.level) || (this._viewDir.dot(b.dir) - this._viewDir.dot(a.dir)));
+        for (const info of wanted) this.request(info, now);
+
+        this.evict(now);
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        for (const entry of this.tiles.values()) {
+            if (entry.mesh) entry.mesh.material.opacity = opacity;
+        }
+    }
+
+    /** Approximate GPU memory held by the loaded tiles, RGBA plus mipmaps. */
+    get textureBytes() {
+        let bytes = 0;
+        for (const entry of this.tiles.values()) {
+            const image = entry.mesh && entry.mesh.material.map.image;
+            if (image) bytes += image.width * image.height * 4 * 1.33;
+        }
+        return bytes;
+    }
+
+    /** Drops every tile above level 0, e.g. while the panorama is off screen. */
+    releaseDetail() {
+        this.queue = [];
+        for (const [key, entry] of this.tiles) {
+            if (entry.info.level > 0) this.release(key);
+        }
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.queue = [];
+        for (const key of [...this.tiles.keys()]) this.release(key);
+        this.levelGeometry.forEach(geo => geo && geo.dispose());
+        this.levelGeometry = [];
+        if (this.group.parent) this.group.parent.remove(this.group);
+    }
+
+    // --- internals ---
+
+    getLevelTiles(level) {
+        if (this.levelTiles[level]) return this.levelTiles[level];
+        const n = this.descriptor.levels[level].tiles;
+        const r = this.radius;
+        const list = [];
+
+        for (const faceId of this.descriptor.faces) {
+            const face = CUBE_FACES[faceId];
+            const center = new THREE.Vector3(...face.center);
+            const right = new THREE.Vector3(...face.right);
+            const up = new THREE.Vector3(...face.up);
+            const normal = center.clone().negate();
+            const quaternion = new THREE.Quaternion().setFromRotationMatrix(
+                new THREE.Matrix4().makeBasis(right, up, normal)
+            );
+
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const a = -1 + (2 * x + 1) / n;
+                    const b = 1 - (2 * y + 1) / n;
+                    const pos = center.clone()
+                        .addScaledVector(right, a)
+                        .addScaledVector(up, b)
+                        .multiplyScalar(r);
+                    list.push({
+                        key: `${level}/${faceId}_${y}_${x}`,
+                        url: this.tileUrl(level, faceId, x, y),
+                        level,
+                        center: pos,
+                        dir: pos.clone().normalize(),
+                        quaternion,
+                        boundRadius: (r * Math.SQRT2) / n
+                    });
+                }
+            }
+        }
+        this.levelTiles[level] = list;
+        return list;
+    }
+
+    getLevelGeometry(level) {
+        if (!this.levelGeometry[level]) {
+            const side = (2 * this.radius) / this.descriptor.levels[level].tiles;
+            this.levelGeometry[level] = new THREE.PlaneGeometry(side, side);
+        }
+        return this.levelGeometry[level];
+    }
+
+    tileUrl(level, face, x, y) {
+        return this.baseUrl + this.descriptor.path
+            .replace('{level}', level)
+            .replace('{face}', face)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+
+    request(info, now, onDone) {
+        if (this.tiles.has(info.key)) return;
+        this.tiles.set(info.key, { info, state: 'queued', mesh: null, lastWanted: now, onDone });
+        this.queue.push(info.key);
+        this.pump();
+    }
+
+    pump() {
+        while (this.active < this.maxConcurrent && this.queue.length) {
+            const key = this.queue.shift();
+            const entry = this.tiles.get(key);
+            if (!entry || entry.state !== 'queued') continue;
+
+            entry.state = 'loading';
+            this.active++;
+            this.loader.load(
+                entry.info.url,
+                (texture) => {
+                    this.active--;
+                    if (this.disposed || this.tiles.get(key) !== entry) {
+                        texture.dispose();
+                    } else {
+                        this.addTileMesh(entry, texture);
+                        if (entry.onDone) entry.onDone(true);
+                    }
+                    this.pump();
+                },
+                undefined,
+                () => {
+                    this.active--;
+                    // Keep the failed entry so the tile isn't retried every frame
+                    entry.state = 'error';
+                    if (entry.onDone) entry.onDone(false);
+                    this.pump();
+                }
+            );
+        }
+    }
+
+    addTileMesh(entry, texture) {
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const { info } = entry;
+        const mat = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            opacity: this.opacity,
+            depthTest: false,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(this.getLevelGeometry(info.level), mat);
+        mesh.position.copy(info.center);
+        mesh.quaternion.copy(info.quaternion);
+        // Finer levels draw over coarser ones
+        mesh.renderOrder = info.level;
+        this.group.add(mesh);
+        entry.mesh = mesh;
+        entry.state = 'ready';
+    }
+
+    evict(now) {
+        for (const [key, entry] of this.tiles) {
+            if (entry.info.level === 0 || entry.state === 'loading') continue;
+            if (now - entry.lastWanted > EVICT_AFTER_MS) this.release(key);
+        }
+    }
+
+    release(key) {
+        const entry = this.tiles.get(key);
+        if (!entry) return;
+        if (entry.mesh) {
+            this.group.remove(entry.mesh);
+            entry.mesh.material.map.dispose();
+            entry.mesh.material.dispose();
+        }
+        this.tiles.delete(key);
+    }
+}
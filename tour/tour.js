@@ -1,18 +1,25 @@
 /**
  * Thalassa Stone Rooms - 3D Virtual Tour
- * Dollhouse + 360° Panorama viewer with hotspot placement
+ * Dollhouse + 360° Panorama viewer with hotspot placement.
+ * Embed with new TourViewer(container, options); tour/index.html is the
+ * standalone page and the site's iframe.
  */
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { TiledPanorama } from './tiled-pano.js';
+import { VRMode } from './vr.js';
+import { PanoControls, DEFAULT_LIMITS } from './pano-controls.js';
+import { TOUR_MARKUP } from './markup.js';
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
-const SPOTS = {
+// Dollhouse viewpoints; each tour copies them, since overview and top follow its own model
+const DEFAULT_SPOTS = {
     overview: { name: 'Overview', position: { x: 8, y: 6, z: 8 }, target: { x: 0, y: 0, z: 0 } },
     front:    { name: 'Front', position: { x: 0, y: 8, z: 10 }, target: { x: 0, y: 0, z: 0 } },
     top:      { name: 'Top Down', position: { x: 0, y: 12, z: 0.1 }, target: { x: 0, y: 0, z: 0 } },
@@ -21,6 +28,45 @@ const SPOTS = {
 
 const CONFIG = { maxPixelRatio: 2, shadowMapSize: 1024, antialias: true };
 
+// GPU memory the panorama cache may hold (current + prefetched neighbours)
+const LOW_MEMORY_DEVICE = window.matchMedia('(hover: none)').matches;
+const PANO_CACHE_BUDGET_MB = LOW_MEMORY_DEVICE ? 360 : 640;
+
+// The registry and property paths are relative to this folder unless options.baseUrl says otherwise
+const TOUR_BASE_URL = new URL('./', import.meta.url).href;
+const PROPERTY_REGISTRY_URL = './properties.json';
+
+// Used when properties.json is missing: the original single-home layout.
+const DEFAULT_PROPERTY = {
+    id: 'casa',
+    name: 'Thalassa Stone Rooms',
+    model: './my_home.glb',
+    panos: '../360_casa/',
+    hotspots: './hotspots.json'
+};
+
+// Waits between attempts when a panorama image fails to download
+const PANO_RETRY_DELAYS = [1000, 2000, 4000];
+
+// localStorage keys for the editor's working copy, namespaced per property by storageKey()
+const STORAGE_HOTSPOTS = 'hotspots';
+const STORAGE_LINKS = 'links';
+const STORAGE_OFFSETS = 'north_offsets';
+const STORAGE_FLOORS = 'scene_floors';
+const STORAGE_INFO_POINTS = 'info_points';
+
+const HOTSPOT_COLOR = 0xc9a962;
+const EDITOR_HIGHLIGHT = 0x4fc3f7;
+const SECTION_EDGE_COLOR = 0xe07c5c;
+const MEASURE_COLOR = 0xffffff;
+const SNAP_COLORS = { vertex: 0x66bb6a, edge: 0x4fc3f7, surface: 0xffffff };
+
+// Screen distance (px) within which measure points snap to a vertex / an edge
+const SNAP_VERTEX_PX = 12;
+const SNAP_EDGE_PX = 8;
+
+// Built-in tour data for the casa property, used only when its tour.json is missing or invalid.
+
 // Default hotspot positions on the dollhouse (fallback)
 const DEFAULT_HOTSPOTS = {
     1: { x: 2,  y: 1, z: 1 },       // livingroom
@@ -35,7 +81,7 @@ const DEFAULT_HOTSPOTS = {
 // Per-panorama rotation offset (degrees):
 // What world-yaw does the CENTER of each 360 photo face?
 // Adjust these values so arrows point in the correct direction.
-const PANO_NORTH_OFFSET = {
+const DEFAULT_NORTH_OFFSET = {
     1: -140,     // livingroom
     2: 75,     // frontdoor
     3: -40,     // hallway
@@ -45,12 +91,16 @@ const PANO_NORTH_OFFSET = {
     7: 0      // bedroom
 };
 
+// World yaw (camera convention: 0 = +X, 90 = +Z) that the compass calls north.
+// -90 is the model's -Z axis.
+const DEFAULT_NORTH_YAW = -90;
+
 // Navigation graph: each pano number -> list of connected pano numbers
 // frontdoor(2) <-> livingroom(1) <-> hallway(3)
 // kitchen door(4) <-> hallway(3) <-> bedroom door(6)
 // kitchen(5) <-> kitchen door(4)
 // bedroom door(6) <-> bedroom(7)
-const PANO_CONNECTIONS = {
+const DEFAULT_CONNECTIONS = {
     1: [2, 3],       // livingroom  -> frontdoor, hallway
     2: [1],          // frontdoor   -> livingroom
     3: [1, 4, 6],    // hallway     -> livingroom, kitchen door, bedroom door
@@ -61,1012 +111,4567 @@ const PANO_CONNECTIONS = {
 };
 
 // ============================================
-// STATE
+// TOUR VIEWER (public API)
 // ============================================
+// One tour in a container element; any number can share a page.
+// Events (addEventListener): the ones listed under HOST MESSAGING, with their
+// payload on the event, e.g. viewer.addEventListener('panoEntered', e => e.pano).
+
+export class TourViewer extends THREE.EventDispatcher {
+    /**
+     * @param {HTMLElement} container  the tour fills it; its content is replaced
+     * @param {object} [options] {
+     *   property    id from properties.json, default the registry's default
+     *   baseUrl     where properties.json and property paths resolve, default this folder
+     *   edit        authoring tools (hotspots, links, north offsets, info points)
+     *   debug       diagnostics panel (always on with edit)
+     *   attract     { idle, cycle, kiosk } seconds, see ATTRACT MODE; kiosk implies idle 30
+     *   ownsPage    the tour is the whole page: URL hash deep links, document title,
+     *               keys pressed with nothing focused, postMessage to a parent frame
+     * }
+     */
+    constructor(container, options = {}) {
+        super();
+        this.container = container;
+        container.classList.add('tour-app');
+        container.innerHTML = TOUR_MARKUP;
+        this.tour = createTour(this, container, options);
+        /** Resolves once the model and tour data are loaded. */
+        this.ready = this.tour.ready;
+    }
 
-let scene, camera, renderer, controls;
-let model = null;
-let modelBoundingBox = null;
-let currentMode = 'dollhouse'; // 'dollhouse' | 'panorama'
-let isAnimating = false;
-
-// Panorama state
-let panoGraph = [];          // sorted array of { index, file, prev, next }
-let currentPanoIndex = -1;
-let panoSphere = null;
-let panoArrows = [];
-let panoYaw = 0, panoPitch = 0;
-let panoFov = 60;
-let panoPointerDown = false;
-let panoPointerX = 0, panoPointerY = 0;
-let panoPinchDist = 0;
-
-// Hotspot state
-let hotspotPositions = {};   // panoNumber -> {x,y,z}
-let hotspotMeshes = [];      // THREE.Mesh[]
-// connectionObjects removed - arrows are inside pano view only
-
-// Raycaster
-const raycaster = new THREE.Raycaster();
-const pointer = new THREE.Vector2();
+    /** 'dollhouse' | 'panorama' */
+    get mode() {
+        return this.tour.mode;
+    }
 
-// ============================================
-// DOM
-// ============================================
+    /** Number of the pano on screen, null in the dollhouse. */
+    get pano() {
+        return this.tour.pano;
+    }
 
-const container = document.getElementById('canvasContainer');
-const loadingOverlay = document.getElementById('loadingOverlay');
-const progressBar = document.getElementById('progressBar');
-const loadingPercent = document.getElementById('loadingPercent');
-const errorOverlay = document.getElementById('errorOverlay');
-const errorMessage = document.getElementById('errorMessage');
-const fullscreenBtn = document.getElementById('fullscreenBtn');
-// Mode toggle removed - dollhouse is map-only, 360 panos are the inside view
-const teleportSpots = document.getElementById('teleportSpots');
-const controlsHint = document.getElementById('controlsHint');
-const hintClose = document.getElementById('hintClose');
-
-// New DOM elements (created in HTML)
-const panoOverlay = document.getElementById('panoOverlay');
-const panoBackBtn = document.getElementById('panoBackBtn');
-const panoLabel = document.getElementById('panoLabel');
+    /** Opens pano number num, or moves to it from another pano. */
+    enterPanorama(num) {
+        if (!this.tour.showPano(num)) throw new Error(`Unknown pano ${JSON.stringify(num)}`);
+    }
 
-// ============================================
-// THREE.JS SETUP
-// ============================================
+    exitPanorama() {
+        this.tour.exitPanorama();
+    }
 
-function initScene() {
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x1a1a1a);
-
-    camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(10, 8, 10);
-
-    renderer = new THREE.WebGLRenderer({ antialias: CONFIG.antialias, powerPreference: 'high-performance' });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, CONFIG.maxPixelRatio));
-    renderer.outputColorSpace = THREE.SRGBColorSpace;
-    renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    renderer.toneMappingExposure = 1.0;
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    container.appendChild(renderer.domElement);
-
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-    controls.screenSpacePanning = true;
-    controls.minDistance = 1;
-    controls.maxDistance = 50;
-    controls.maxPolarAngle = Math.PI * 0.9;
-    controls.target.set(0, 0, 0);
-
-    setupLighting();
-    animate();
-}
+    /** Flies the dollhouse camera to a viewpoint ('overview', 'front', 'top', 'side'). */
+    async teleportTo(spot, duration) {
+        if (!(await this.tour.showSpot(spot, duration))) throw new Error(`Unknown spot ${JSON.stringify(spot)}`);
+    }
 
-function setupLighting() {
-    scene.add(new THREE.AmbientLight(0xffffff, 0.5));
-
-    const hemi = new THREE.HemisphereLight(0xffeedd, 0x444444, 0.7);
-    scene.add(hemi);
-
-    const dir = new THREE.DirectionalLight(0xffffff, 1.2);
-    dir.position.set(5, 10, 5);
-    dir.castShadow = true;
-    dir.shadow.mapSize.width = CONFIG.shadowMapSize;
-    dir.shadow.mapSize.height = CONFIG.shadowMapSize;
-    dir.shadow.camera.near = 0.5;
-    dir.shadow.camera.far = 50;
-    dir.shadow.camera.left = -20;
-    dir.shadow.camera.right = 20;
-    dir.shadow.camera.top = 20;
-    dir.shadow.camera.bottom = -20;
-    dir.shadow.bias = -0.0001;
-    scene.add(dir);
-
-    const fill = new THREE.DirectionalLight(0xffffff, 0.4);
-    fill.position.set(-5, 5, -5);
-    scene.add(fill);
-
-    const front = new THREE.DirectionalLight(0xffffff, 0.3);
-    front.position.set(0, 5, 10);
-    scene.add(front);
-
-    const point = new THREE.PointLight(0xfff5e6, 0.6, 30);
-    point.position.set(0, 3, 0);
-    scene.add(point);
+    dispose() {
+        this.tour.dispose();
+    }
 }
 
-// ============================================
-// MODEL LOADING
-// ============================================
+// Builds one tour inside root. Everything below is per instance.
+function createTour(viewer, root, options) {
+    const ref = name => root.querySelector(`[data-ref="${name}"]`);
+
+    const OWNS_PAGE = !!options.ownsPage;
+    const BASE_URL = options.baseUrl ? new URL(options.baseUrl, document.baseURI).href : TOUR_BASE_URL;
+    // Which house to show: an id from the registry (tour/properties.json)
+    const PROPERTY_ID = options.property || null;
+    // Authoring mode: place hotspots and edit links
+    const EDIT_MODE = !!options.edit;
+    // Diagnostics panel: shown in edit mode or on request
+    const DEBUG_MODE = EDIT_MODE || !!options.debug;
+    // Attract mode for lobby screens and landing pages (never in edit mode).
+    // The host page can change all three with the 'attract' command.
+    const attractOptions = options.attract || {};
+    const ATTRACT_DEFAULTS = {
+        idle: attractOptions.idle || (attractOptions.kiosk ? 30 : 0),
+        cycle: attractOptions.cycle || 0,
+        kiosk: attractOptions.kiosk || 0
+    };
+
+    const SPOTS = structuredClone(DEFAULT_SPOTS);
+
+    // Keys and "is anyone there" input: the whole page when the tour owns it
+    const inputTarget = OWNS_PAGE ? document : root;
+    let disposed = false;
+
+    // Listeners outside the tour's own markup, removed again by dispose()
+    const cleanups = [];
+    function listen(target, type, handler, opts) {
+        target.addEventListener(type, handler, opts);
+        cleanups.push(() => target.removeEventListener(type, handler, opts));
+    }
+
+    // ============================================
+    // STATE
+    // ============================================
+
+    let scene, camera, renderer, controls;
+    let model = null;
+    let modelLoadToken = 0;      // bumped per load and on release so a late model is dropped
+    let modelBoundingBox = null;
+    let currentMode = 'dollhouse'; // 'dollhouse' | 'panorama'
+    let isAnimating = false;
+
+    // Panorama state
+    let panoGraph = [];          // sorted array of { index, file, prev, next }
+    let currentPanoIndex = -1;
+    let panoLayer = null;        // pano on screen: { file, object, tiled, setOpacity }
+    let panoPrevLayer = null;    // pano being crossfaded out
+    let panoLoadToken = 0;       // bumped per load so late results are ignored
+    let panoArrows = [];
+    let panoYaw = 0, panoPitch = 0;
+    let panoFov = 60;
+    let panoControls;            // drag / wheel / pinch look, see pano-controls.js
+
+    // Tour definition state (from tour.json, or the DEFAULT_* constants)
+    let panoNorthOffset = { ...DEFAULT_NORTH_OFFSET };
+    let panoConnections = { ...DEFAULT_CONNECTIONS };
+    let sceneLabels = {};         // panoNumber -> display label
+    let tourHotspots = null;      // panoNumber -> {x,y,z} from tour.json
+    let floors = [];              // [{ level, label, elevation }] from tour.json, lowest first
+    let sceneFloors = {};         // panoNumber -> floor level
+    let selectedFloor = null;     // floor shown in the dollhouse, null = all
+    let sceneInfoPoints = {};     // panoNumber -> [{ yaw, pitch, title, text, image, link, linkLabel }]
+    let tourFiles = [];           // scene image files listed in tour.json
+    let viewLimits = null;        // tour.json overrides of the pano pitch / zoom limits
+    let northWorldYaw = DEFAULT_NORTH_YAW;
+    let lastCompassBearing = null;
+    let property = DEFAULT_PROPERTY;  // resolved by loadProperty()
+    let manifestError = null;         // why manifest.json could not be used
+    let tourDefinitionErrors = [];    // validation problems in tour.json
+
+    // Hotspot state
+    let hotspotPositions = {};   // panoNumber -> {x,y,z}
+    let hotspotMeshes = [];      // THREE.Mesh[]
+    // connectionObjects removed - arrows are inside pano view only
+
+    // Raycaster
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+
+    // ============================================
+    // DOM
+    // ============================================
+
+    const container = ref('canvasContainer');
+    const tourTitle = ref('tourTitle');
+    const loadingOverlay = ref('loadingOverlay');
+    const progressBar = ref('progressBar');
+    const loadingPercent = ref('loadingPercent');
+    const errorOverlay = ref('errorOverlay');
+    const errorMessage = ref('errorMessage');
+    const fullscreenBtn = ref('fullscreenBtn');
+    // Mode toggle removed - dollhouse is map-only, 360 panos are the inside view
+    const teleportSpots = ref('teleportSpots');
+    const floorSelector = ref('floorSelector');
+
+    // Section / cutaway controls and measurement (right-hand tool column)
+    const dollhouseTools = ref('dollhouseTools');
+    const sectionPanel = ref('sectionPanel');
+    const sectionToggle = ref('sectionToggle');
+    const sectionOutlineToggle = ref('sectionOutline');
+
+    // Measurement tool
+    const measurePanel = ref('measurePanel');
+    const measureToggle = ref('measureToggle');
+    const measureStatus = ref('measureStatus');
+    const measureLabelLayer = ref('measureLabels');
+    const controlsHint = ref('controlsHint');
+    const hintClose = ref('hintClose');
+
+    // New DOM elements (created in HTML)
+    const panoOverlay = ref('panoOverlay');
+    const panoBackBtn = ref('panoBackBtn');
+    const panoLabel = ref('panoLabel');
+    const panoCompass = ref('panoCompass');
+    const panoCompassRose = ref('panoCompassRose');
+    const panoCompassHeading = ref('panoCompassHeading');
+    const a11yLayer = ref('a11yLayer');
+    const a11yStatus = ref('a11yStatus');
+    const playTourBtn = ref('playTourBtn');
+    const guidedBar = ref('guidedBar');
+    const guidedCaption = ref('guidedCaption');
+    const guidedStepLabel = ref('guidedStepLabel');
+    const guidedToggle = ref('guidedToggle');
+    const gyroToggle = ref('gyroToggle');
+    const panoToast = ref('panoToast');
+    const infoCard = ref('infoCard');
+    const infoCardTitle = ref('infoCardTitle');
+    const infoCardText = ref('infoCardText');
+    const infoCardImage = ref('infoCardImage');
+    const infoCardLink = ref('infoCardLink');
+    const panoMinimap = ref('panoMinimap');
+    const panoMinimapSvg = ref('panoMinimapSvg');
+    const panoLoading = ref('panoLoading');
+    const panoProgressBar = ref('panoProgressBar');
+    const panoLoadingText = ref('panoLoadingText');
+    const panoError = ref('panoError');
+    const panoErrorMessage = ref('panoErrorMessage');
+    const tourNotice = ref('tourNotice');
+
+    // Diagnostics panel (?debug=1 or ?edit=1)
+    const diagnosticsPanel = ref('diagnosticsPanel');
+    const diagnosticsList = ref('diagnosticsList');
+    const diagnosticsMemory = ref('diagnosticsMemory');
+    const contextOverlay = ref('contextOverlay');
+    const contextReload = ref('contextReload');
+
+    // Editor panel (only shown with ?edit=1)
+    const editorPanel = ref('editorPanel');
+    const editorScenes = ref('editorScenes');
+    const editorStatus = ref('editorStatus');
+    const calibratePanel = ref('calibratePanel');
+    const calibrateReadout = ref('calibrateReadout');
+
+    // ============================================
+    // THREE.JS SETUP
+    // ============================================
+
+    function initScene() {
+        scene = new THREE.Scene();
+        scene.background = new THREE.Color(0x1a1a1a);
+
+        camera = new THREE.PerspectiveCamera(60, container.clientWidth / container.clientHeight, 0.1, 1000);
+        camera.position.set(10, 8, 10);
+
+        renderer = new THREE.WebGLRenderer({ antialias: CONFIG.antialias, powerPreference: 'high-performance' });
+        renderer.setSize(container.clientWidth, container.clientHeight);
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, CONFIG.maxPixelRatio));
+        renderer.outputColorSpace = THREE.SRGBColorSpace;
+        renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        renderer.toneMappingExposure = 1.0;
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        renderer.localClippingEnabled = true;
+        container.appendChild(renderer.domElement);
+        renderer.domElement.tabIndex = 0;
+        renderer.domElement.setAttribute('role', 'application');
+        renderer.domElement.setAttribute('aria-label',
+            '3D tour. Arrow keys or W A S D to look around, plus and minus to zoom, Tab to reach the rooms.');
+
+        controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        controls.screenSpacePanning = true;
+        controls.minDistance = 1;
+        controls.maxDistance = 50;
+        controls.maxPolarAngle = Math.PI * 0.9;
+        controls.target.set(0, 0, 0);
+        controls.addEventListener('end', () => {
+            if (currentMode === 'dollhouse') scheduleHashUpdate();
+        });
 
-function loadModel() {
-    const dracoLoader = new DRACOLoader();
-    dracoLoader.setDecoderPath('https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/libs/draco/');
-    dracoLoader.setDecoderConfig({ type: 'js' });
+        panoControls = new PanoControls(renderer.domElement, camera, {
+            getView: () => ({ yaw: panoYaw, pitch: panoPitch, fov: panoFov }),
+            setView: setPanoView,
+            isEnabled: () => currentMode === 'panorama' && !panoTransitioning && !isPresentingVR(),
+            // Calibrating: the arrows turn with the camera, so the photo slides under them
+            onLook: (dYaw) => { if (calibrating) adjustNorthOffset(-dYaw); },
+            onEnd: scheduleHashUpdate
+        });
 
-    const loader = new GLTFLoader();
-    loader.setDRACOLoader(dracoLoader);
+        setupLighting();
+        // The renderer drives the loop so it keeps running inside a VR session
+        renderer.setAnimationLoop(animate);
+    }
 
-    loader.load(
-        './my_home.glb',
-        (gltf) => {
-            model = gltf.scene;
-            model.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                    if (child.material) {
-                        // FrontSide: shows exterior walls removed, interior visible
-                        child.material.side = THREE.FrontSide;
-                        child.material.needsUpdate = true;
+    function setupLighting() {
+        scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+
+        const hemi = new THREE.HemisphereLight(0xffeedd, 0x444444, 0.7);
+        scene.add(hemi);
+
+        const dir = new THREE.DirectionalLight(0xffffff, 1.2);
+        dir.position.set(5, 10, 5);
+        dir.castShadow = true;
+        dir.shadow.mapSize.width = CONFIG.shadowMapSize;
+        dir.shadow.mapSize.height = CONFIG.shadowMapSize;
+        dir.shadow.camera.near = 0.5;
+        dir.shadow.camera.far = 50;
+        dir.shadow.camera.left = -20;
+        dir.shadow.camera.right = 20;
+        dir.shadow.camera.top = 20;
+        dir.shadow.camera.bottom = -20;
+        dir.shadow.bias = -0.0001;
+        scene.add(dir);
+
+        const fill = new THREE.DirectionalLight(0xffffff, 0.4);
+        fill.position.set(-5, 5, -5);
+        scene.add(fill);
+
+        const front = new THREE.DirectionalLight(0xffffff, 0.3);
+        front.position.set(0, 5, 10);
+        scene.add(front);
+
+        const point = new THREE.PointLight(0xfff5e6, 0.6, 30);
+        point.position.set(0, 3, 0);
+        scene.add(point);
+    }
+
+    // ============================================
+    // MODEL LOADING
+    // ============================================
+
+    // Resolves once the model has loaded or failed, so deep links can be applied after it.
+    // refit: false keeps the camera (reloading after a lost WebGL context).
+    function loadModel({ refit = true } = {}) {
+        const dracoLoader = new DRACOLoader();
+        dracoLoader.setDecoderPath('https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/libs/draco/');
+        dracoLoader.setDecoderConfig({ type: 'js' });
+
+        const loader = new GLTFLoader();
+        loader.setDRACOLoader(dracoLoader);
+        const token = ++modelLoadToken;
+
+        return new Promise(resolve => {
+            loader.load(
+                property.model,
+                (gltf) => {
+                    // The decoder's workers are only needed while loading
+                    dracoLoader.dispose();
+                    if (disposed || token !== modelLoadToken) {
+                        disposeObject(gltf.scene);
+                        resolve();
+                        return;
+                    }
+                    model = gltf.scene;
+                    model.traverse((child) => {
+                        if (child.isMesh) {
+                            child.castShadow = true;
+                            child.receiveShadow = true;
+                            // Multi-material meshes carry an array
+                            for (const material of child.material ? [].concat(child.material) : []) {
+                                material.clippingPlanes = modelClipPlanes;
+                                // FrontSide: shows exterior walls removed, interior visible
+                                material.side = THREE.FrontSide;
+                                material.needsUpdate = true;
+                            }
+                        }
+                    });
+                    model.visible = currentMode !== 'panorama';
+                    scene.add(model);
+                    if (refit) fitCameraToModel();
+                    if (dollhouseTools) dollhouseTools.classList.add('visible');
+                    loadingOverlay.classList.add('hidden');
+
+                    // Create hotspot visuals after model is loaded
+                    createHotspotMeshes();
+                    resolve();
+                },
+                (xhr) => {
+                    if (xhr.lengthComputable) {
+                        const pct = Math.round((xhr.loaded / xhr.total) * 100);
+                        progressBar.style.width = pct + '%';
+                        loadingPercent.textContent = pct + '%';
+                        emitToHost('loadProgress', { percent: pct });
+                    } else {
+                        loadingPercent.textContent = 'Loading...';
+                        const w = parseFloat(progressBar.style.width) || 0;
+                        if (w < 90) progressBar.style.width = (w + 5) + '%';
+                        emitToHost('loadProgress', { percent: null });
+                    }
+                },
+                (error) => {
+                    dracoLoader.dispose();
+                    if (token !== modelLoadToken) {
+                        resolve();
+                        return;
                     }
+                    showError(`Failed to load 3D model. Error: ${error.message || 'Unknown error'}.`);
+                    resolve();
                 }
-            });
-            scene.add(model);
-            fitCameraToModel();
-            loadingOverlay.classList.add('hidden');
-
-            // Create hotspot visuals after model is loaded
-            createHotspotMeshes();
-        },
-        (xhr) => {
-            if (xhr.lengthComputable) {
-                const pct = Math.round((xhr.loaded / xhr.total) * 100);
-                progressBar.style.width = pct + '%';
-                loadingPercent.textContent = pct + '%';
-            } else {
-                loadingPercent.textContent = 'Loading...';
-                const w = parseFloat(progressBar.style.width) || 0;
-                if (w < 90) progressBar.style.width = (w + 5) + '%';
-            }
-        },
-        (error) => {
-            showError(`Failed to load 3D model. Error: ${error.message || 'Unknown error'}.`);
-        }
-    );
-}
+            );
+        });
+    }
 
-function showError(message) {
-    loadingOverlay.classList.add('hidden');
-    errorMessage.textContent = message;
-    errorOverlay.classList.add('visible');
-}
+    function showError(message) {
+        loadingOverlay.classList.add('hidden');
+        errorMessage.textContent = message;
+        errorOverlay.classList.add('visible');
+        emitToHost('error', { message, code: 'fatal' });
+    }
 
-// ============================================
-// CAMERA
-// ============================================
+    // ============================================
+    // CAMERA
+    // ============================================
+
+    function fitCameraToModel() {
+        if (!model) return;
+        modelBoundingBox = new THREE.Box3().setFromObject(model);
+        const center = modelBoundingBox.getCenter(new THREE.Vector3());
+        const size = modelBoundingBox.getSize(new THREE.Vector3());
+        const maxDim = Math.max(size.x, size.y, size.z);
+        const fov = camera.fov * (Math.PI / 180);
+        let dist = (maxDim / (2 * Math.tan(fov / 2))) * 1.5;
+
+        camera.position.set(center.x + dist * 0.7, center.y + dist * 0.5, center.z + dist * 0.7);
+        controls.target.copy(center);
+
+        const diag = Math.sqrt(size.x ** 2 + size.y ** 2 + size.z ** 2);
+        camera.near = Math.max(0.01, diag * 0.001);
+        camera.far = diag * 20;
+        camera.updateProjectionMatrix();
 
-function fitCameraToModel() {
-    if (!model) return;
-    modelBoundingBox = new THREE.Box3().setFromObject(model);
-    const center = modelBoundingBox.getCenter(new THREE.Vector3());
-    const size = modelBoundingBox.getSize(new THREE.Vector3());
-    const maxDim = Math.max(size.x, size.y, size.z);
-    const fov = camera.fov * (Math.PI / 180);
-    let dist = (maxDim / (2 * Math.tan(fov / 2))) * 1.5;
-
-    camera.position.set(center.x + dist * 0.7, center.y + dist * 0.5, center.z + dist * 0.7);
-    controls.target.copy(center);
-
-    const diag = Math.sqrt(size.x ** 2 + size.y ** 2 + size.z ** 2);
-    camera.near = Math.max(0.01, diag * 0.001);
-    camera.far = diag * 20;
-    camera.updateProjectionMatrix();
-
-    controls.minDistance = diag * 0.05;
-    controls.maxDistance = diag * 5;
-
-    SPOTS.overview.position = { x: center.x + dist * 0.7, y: center.y + dist * 0.5, z: center.z + dist * 0.7 };
-    SPOTS.overview.target = { x: center.x, y: center.y, z: center.z };
-    controls.update();
-}
+        controls.minDistance = diag * 0.05;
+        controls.maxDistance = diag * 5;
 
-function teleportTo(spotKey) {
-    const spot = SPOTS[spotKey];
-    if (!spot || isAnimating) return;
-    isAnimating = true;
-
-    document.querySelectorAll('.spot-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.spot === spotKey);
-    });
-
-    const duration = 1000;
-    const startTime = performance.now();
-    const startPos = camera.position.clone();
-    const endPos = new THREE.Vector3(spot.position.x, spot.position.y, spot.position.z);
-    const startTarget = controls.target.clone();
-    const endTarget = new THREE.Vector3(spot.target.x, spot.target.y, spot.target.z);
-
-    function animateCamera(t) {
-        const elapsed = t - startTime;
-        const p = Math.min(elapsed / duration, 1);
-        const e = p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2;
-        camera.position.lerpVectors(startPos, endPos, e);
-        controls.target.lerpVectors(startTarget, endTarget, e);
+        SPOTS.overview.position = { x: center.x + dist * 0.7, y: center.y + dist * 0.5, z: center.z + dist * 0.7 };
+        SPOTS.overview.target = { x: center.x, y: center.y, z: center.z };
         controls.update();
-        if (p < 1) requestAnimationFrame(animateCamera);
-        else isAnimating = false;
     }
-    requestAnimationFrame(animateCamera);
-}
 
-// Dollhouse is map-only; inside view uses 360 panoramas
+    // Resolves when the camera arrives (at once if the move can't start)
+    function teleportTo(spotKey, duration = 1000) {
+        const spot = SPOTS[spotKey];
+        if (!spot || isAnimating) return Promise.resolve();
+        isAnimating = true;
 
-// ============================================
-// PANORAMA MANIFEST & GRAPH
-// ============================================
+        root.querySelectorAll('.spot-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.spot === spotKey);
+        });
 
-function trailingNumber(filename) {
-    const m = filename.replace(/\.\w+$/, '').match(/(\d+)$/);
-    return m ? parseInt(m[1], 10) : Infinity;
-}
+        if (prefersReducedMotion()) duration = 0;
+        const startTime = performance.now();
+        const startPos = camera.position.clone();
+        const endPos = new THREE.Vector3(spot.position.x, spot.position.y, spot.position.z);
+        const startTarget = controls.target.clone();
+        const endTarget = new THREE.Vector3(spot.target.x, spot.target.y, spot.target.z);
+
+        return new Promise(resolve => {
+            function animateCamera(t) {
+                if (disposed) {
+                    isAnimating = false;
+                    resolve();
+                    return;
+                }
+                const elapsed = t - startTime;
+                const p = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+                const e = p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2;
+                camera.position.lerpVectors(startPos, endPos, e);
+                controls.target.lerpVectors(startTarget, endTarget, e);
+                controls.update();
+                if (p < 1) requestAnimationFrame(animateCamera);
+                else {
+                    isAnimating = false;
+                    scheduleHashUpdate();
+                    resolve();
+                }
+            }
+            requestAnimationFrame(animateCamera);
+        });
+    }
+
+    // Dollhouse is map-only; inside view uses 360 panoramas
+
+    // ============================================
+    // PANORAMA MANIFEST & GRAPH
+    // ============================================
+
+    function trailingNumber(filename) {
+        const m = filename.replace(/\.\w+$/, '').match(/(\d+)$/);
+        return m ? parseInt(m[1], 10) : Infinity;
+    }
+
+    async function loadManifest() {
+        try {
+            const res = await fetch(panoUrl('manifest.json'));
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            if (!Array.isArray(data.files)) throw new Error('"files" is missing or not an array');
+            buildPanoGraph(data.files, data.tiles || {}, data.scenes || []);
+        } catch (err) {
+            // Not fatal (tour.json may list the files), but reported by runDiagnostics()
+            manifestError = err.message;
+            console.warn(`[tour] manifest.json could not be used: ${err.message}`);
+        }
+    }
 
-async function loadManifest() {
-    try {
-        const res = await fetch('../360_casa/manifest.json');
-        if (!res.ok) throw new Error('manifest fetch failed');
-        const data = await res.json();
-        const files = data.files || [];
+    // tiles: file -> tile pyramid folder (from generate_pano_tiles.mjs), if any
+    // scenes: per-image metadata from a version 2 manifest (label, size, web variant...)
+    function buildPanoGraph(files, tiles = {}, scenes = []) {
+        const meta = new Map(scenes.map(scene => [scene.file, scene]));
         // Sort by trailing number
-        files.sort((a, b) => trailingNumber(a) - trailingNumber(b));
-        panoGraph = files.map((file, i) => ({
-            index: trailingNumber(file),
-            file,
-            arrayIdx: i
-        }));
+        files = [...files].sort((a, b) => trailingNumber(a) - trailingNumber(b));
+        panoGraph = files.map((file, i) => {
+            const scene = meta.get(file) || {};
+            return {
+                index: trailingNumber(file),
+                file,
+                tiles: tiles[file] || null,
+                label: scene.label || null,
+                width: scene.width || 0,
+                web: scene.web || null,
+                thumb: scene.thumb || null,
+                arrayIdx: i
+            };
+        });
         // Set prev/next
         for (let i = 0; i < panoGraph.length; i++) {
             panoGraph[i].prev = panoGraph[(i - 1 + panoGraph.length) % panoGraph.length];
             panoGraph[i].next = panoGraph[(i + 1) % panoGraph.length];
         }
-    } catch (err) {
-        // silently ignore - pano manifest is optional
     }
-}
-
-function getPanoByNumber(num) {
-    return panoGraph.find(p => p.index === num) || null;
-}
 
-// ============================================
-// HOTSPOT POSITIONS (load / save / export)
-// ============================================
+    function getPanoByNumber(num) {
+        return panoGraph.find(p => p.index === num) || null;
+    }
 
-async function loadHotspotPositions() {
-    // 1. Try JSON file
-    try {
-        const res = await fetch('./hotspots.json');
-        if (res.ok) {
-            const data = await res.json();
-            hotspotPositions = data;
-            return;
+    // ============================================
+    // PROPERTY REGISTRY (?property=<id>)
+    // ============================================
+
+    // Resolves which house to show. Without a registry only the built-in property exists.
+    async function loadProperty() {
+        let registry = null;
+        try {
+            const res = await fetch(resolveUrl(PROPERTY_REGISTRY_URL));
+            if (res.ok) registry = await res.json();
+        } catch (err) {
+            console.warn(`[tour] Could not read properties.json (${err.message}); using the built-in property.`);
         }
-    } catch (_) { /* ignore */ }
 
-    // 2. Try localStorage
-    try {
-        const stored = localStorage.getItem('thalassa_hotspots');
-        if (stored) {
-            hotspotPositions = JSON.parse(stored);
-            return;
+        const properties = (registry && registry.properties) || { [DEFAULT_PROPERTY.id]: DEFAULT_PROPERTY };
+        const defaultId = (registry && registry.default) || DEFAULT_PROPERTY.id;
+        const id = PROPERTY_ID || defaultId;
+        const entry = properties[id];
+        if (!entry) throw new Error(`Unknown property "${id}".`);
+        if (typeof entry.model !== 'string' || typeof entry.panos !== 'string') {
+            throw new Error(`Property "${id}" needs "model" and "panos" paths in properties.json.`);
         }
-    } catch (_) { /* ignore */ }
-
-    // 3. Defaults
-    hotspotPositions = { ...DEFAULT_HOTSPOTS };
-}
 
+        property = {
+            ...entry,
+            id,
+            model: resolveUrl(entry.model),
+            panos: resolveUrl(entry.panos.endsWith('/') ? entry.panos : entry.panos + '/'),
+            hotspots: entry.hotspots && resolveUrl(entry.hotspots),
+            tour: entry.tour && resolveUrl(entry.tour)
+        };
+        if (id === defaultId) migrateLegacyStorage();
+
+        // The built-in scene data describes casa; other houses start empty until their tour.json loads
+        if (id !== DEFAULT_PROPERTY.id) {
+            panoNorthOffset = {};
+            panoConnections = {};
+            tourHotspots = {};
+        }
 
-// ============================================
-// HOTSPOT 3D VISUALS (on dollhouse model)
-// ============================================
+        if (property.name) {
+            if (OWNS_PAGE) document.title = `3D Virtual Tour | ${property.name}`;
+            if (tourTitle) tourTitle.textContent = property.name;
+        }
+    }
 
-function createHotspotMeshes() {
-    // Remove old hotspots
-    hotspotMeshes.forEach(m => {
-        m.traverse(child => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-        });
-        scene.remove(m);
-    });
-    hotspotMeshes = [];
+    function panoUrl(path) {
+        return property.panos + path;
+    }
 
-    // Build hotspot spheres
-    for (const pano of panoGraph) {
-        const pos = hotspotPositions[pano.index];
-        if (!pos) continue;
+    function resolveUrl(path) {
+        return new URL(path, BASE_URL).href;
+    }
 
-        const geo = new THREE.SphereGeometry(0.15, 16, 16);
-        const mat = new THREE.MeshBasicMaterial({
-            color: 0xc9a962,
-            transparent: true,
-            opacity: 0.85,
-            depthTest: false
-        });
-        const mesh = new THREE.Mesh(geo, mat);
-        mesh.position.set(pos.x, pos.y, pos.z);
-        mesh.userData.panoIndex = pano.index;
-        mesh.renderOrder = 999;
-        scene.add(mesh);
-        hotspotMeshes.push(mesh);
-
-        // Inner dot
-        const innerGeo = new THREE.SphereGeometry(0.07, 12, 12);
-        const innerMat = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false });
-        const inner = new THREE.Mesh(innerGeo, innerMat);
-        inner.renderOrder = 1000;
-        mesh.add(inner);
+    function storageKey(name) {
+        return `thalassa_${property.id}_${name}`;
+    }
 
-        // Pulsing ring
-        const ringGeo = new THREE.RingGeometry(0.18, 0.25, 32);
-        const ringMat = new THREE.MeshBasicMaterial({
-            color: 0xc9a962,
-            transparent: true,
-            opacity: 0.4,
-            side: THREE.DoubleSide,
-            depthTest: false
-        });
-        const ring = new THREE.Mesh(ringGeo, ringMat);
-        ring.renderOrder = 998;
-        mesh.add(ring);
-        mesh.userData.ring = ring;
-        mesh.userData.ringMat = ringMat;
+    // Before properties existed the editor saved to un-namespaced keys; those belong to the default house
+    function migrateLegacyStorage() {
+        try {
+            for (const name of [STORAGE_HOTSPOTS, STORAGE_LINKS, STORAGE_OFFSETS]) {
+                const legacy = localStorage.getItem(`thalassa_${name}`);
+                if (legacy === null) continue;
+                if (localStorage.getItem(storageKey(name)) === null) localStorage.setItem(storageKey(name), legacy);
+                localStorage.removeItem(`thalassa_${name}`);
+            }
+        } catch (_) { /* storage unavailable */ }
     }
 
-}
+    // ============================================
+    // TOUR DEFINITION (scenes, positions, offsets, labels, links)
+    // ============================================
+
+    async function loadTourDefinition() {
+        let data;
+        try {
+            const res = await fetch(property.tour || panoUrl('tour.json'));
+            if (!res.ok) return; // optional - keep built-in defaults
+            data = await res.json();
+        } catch (err) {
+            console.warn(`[tour] Could not read tour.json (${err.message}); using built-in tour data.`);
+            tourDefinitionErrors = [`could not be read: ${err.message}`];
+            return;
+        }
 
-// Animate hotspot pulse
-function updateHotspots(time) {
-    for (const mesh of hotspotMeshes) {
-        // Billboard: face camera
-        mesh.quaternion.copy(camera.quaternion);
-        // Pulse ring
-        const ring = mesh.userData.ring;
-        if (ring) {
-            const s = 1 + 0.3 * Math.sin(time * 0.003 + mesh.userData.panoIndex);
-            ring.scale.set(s, s, s);
-            mesh.userData.ringMat.opacity = 0.2 + 0.2 * Math.sin(time * 0.003 + mesh.userData.panoIndex);
+        const errors = validateTourDefinition(data);
+        if (errors.length) {
+            tourDefinitionErrors = errors;
+            console.error('[tour] tour.json is invalid; using built-in tour data.\n  - ' + errors.join('\n  - '));
+            return;
         }
+        applyTourDefinition(data);
     }
-}
 
-// ============================================
-// PANORAMA MODE
-// ============================================
-
-const textureLoader = new THREE.TextureLoader();
-let currentPanoTexture = null;
-
-// Fade transition state
-let panoFading = false;
-let panoFadeProgress = 1;
-
-// Save/restore camera state when switching modes
-let savedCameraPos = null;
-let savedControlsTarget = null;
-let savedCameraFov = 60;
-let savedCameraNear = 0.1;
-let savedCameraFar = 1000;
-
-function enterPanorama(panoNum) {
-    const pano = getPanoByNumber(panoNum);
-    if (!pano) return;
-
-    currentMode = 'panorama';
-    currentPanoIndex = pano.arrayIdx;
-
-    // Save current camera state for restoration
-    savedCameraPos = camera.position.clone();
-    savedControlsTarget = controls.target.clone();
-    savedCameraFov = camera.fov;
-    savedCameraNear = camera.near;
-    savedCameraFar = camera.far;
-
-    // Reset pano zoom
-    panoFov = 60;
-    camera.fov = 60;
-
-    // Hide dollhouse UI, show pano UI
-    document.querySelector('.tour-ui').classList.add('pano-active');
-    panoOverlay.classList.add('visible');
-    // Hide the dollhouse model, hotspots and connections
-    if (model) model.visible = false;
-    hotspotMeshes.forEach(m => m.visible = false);
-
-    // Disable orbit controls
-    controls.enabled = false;
-
-    // Move camera to origin for clean pano viewing
-    camera.position.set(0, 0, 0);
-    camera.near = 0.1;
-    camera.far = 1100;
-    camera.updateProjectionMatrix();
-
-    // Reset pano look direction
-    panoYaw = 0;
-    panoPitch = 0;
-
-    // Load texture
-    loadPanoTexture(pano);
-    updatePanoLabel(pano);
-}
+    // Returns a list of human-readable problems; empty when the definition is usable.
+    function validateTourDefinition(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['root must be an object with a "scenes" array'];
+        }
+        if (!Array.isArray(data.scenes) || data.scenes.length === 0) {
+            return ['"scenes" must be a non-empty array'];
+        }
 
-function loadPanoTexture(pano) {
-    const path = '../360_casa/' + pano.file;
-
-    textureLoader.load(
-        path,
-        (texture) => {
-            // Dispose old
-            if (currentPanoTexture) currentPanoTexture.dispose();
-            currentPanoTexture = texture;
-            texture.colorSpace = THREE.SRGBColorSpace;
-
-            // Create or update sphere at origin
-            if (!panoSphere) {
-                const geo = new THREE.SphereGeometry(500, 60, 40);
-                geo.scale(-1, 1, 1); // inside-out
-                const mat = new THREE.MeshBasicMaterial({
-                    map: texture,
-                    transparent: true,
-                    opacity: 0
+        const isNum = v => typeof v === 'number' && Number.isFinite(v);
+        if (data.northYaw !== undefined && !isNum(data.northYaw)) {
+            errors.push('"northYaw" must be a number of degrees');
+        }
+        const levels = new Set();
+        if (data.floors !== undefined) {
+            if (!Array.isArray(data.floors)) {
+                errors.push('"floors" must be an array of { level, label, elevation }');
+            } else {
+                data.floors.forEach((fl, i) => {
+                    if (!fl || !Number.isInteger(fl.level)) {
+                        errors.push(`floors[${i}].level must be an integer`);
+                        return;
+                    }
+                    if (levels.has(fl.level)) errors.push(`floors[${i}].level ${fl.level} is listed twice`);
+                    levels.add(fl.level);
+                    if (fl.label !== undefined && typeof fl.label !== 'string') errors.push(`floors[${i}].label must be a string`);
+                    if (fl.elevation !== undefined && !isNum(fl.elevation)) errors.push(`floors[${i}].elevation must be a number`);
                 });
-                panoSphere = new THREE.Mesh(geo, mat);
+            }
+        }
+        const ids = new Set();
+        data.scenes.forEach((sc, i) => {
+            const where = `scenes[${i}]`;
+            if (!sc || typeof sc !== 'object') {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (!Number.isInteger(sc.id) || sc.id < 1) {
+                errors.push(`${where}.id must be a positive integer (got ${JSON.stringify(sc.id)})`);
+            } else if (ids.has(sc.id)) {
+                errors.push(`${where}.id ${sc.id} is used by more than one scene`);
             } else {
-                panoSphere.material.map = texture;
-                panoSphere.material.needsUpdate = true;
+                ids.add(sc.id);
+            }
+            if (sc.file !== undefined && typeof sc.file !== 'string') {
+                errors.push(`${where}.file must be a string`);
+            } else if (sc.file && trailingNumber(sc.file) !== sc.id) {
+                // Scenes are matched to images by the number at the end of the file name
+                errors.push(`${where}.file "${sc.file}" must end in its id (${sc.id}), e.g. "room-${sc.id}.jpg"`);
+            }
+            if (sc.label !== undefined && typeof sc.label !== 'string') {
+                errors.push(`${where}.label must be a string`);
+            }
+            if (sc.position !== undefined) {
+                const p = sc.position;
+                if (!p || !isNum(p.x) || !isNum(p.y) || !isNum(p.z)) {
+                    errors.push(`${where}.position must be { x, y, z } with finite numbers`);
+                }
+            }
+            if (sc.northOffset !== undefined && !isNum(sc.northOffset)) {
+                errors.push(`${where}.northOffset must be a number of degrees`);
+            }
+            if (sc.links !== undefined && !Array.isArray(sc.links)) {
+                errors.push(`${where}.links must be an array of scene ids`);
+            }
+            if (sc.infoPoints !== undefined) {
+                if (!Array.isArray(sc.infoPoints)) {
+                    errors.push(`${where}.infoPoints must be an array`);
+                } else {
+                    sc.infoPoints.forEach((info, j) => {
+                        const at = `${where}.infoPoints[${j}]`;
+                        if (!info || !isNum(info.yaw) || !isNum(info.pitch)) errors.push(`${at} needs numeric "yaw" and "pitch"`);
+                        else if (typeof info.title !== 'string' || !info.title) errors.push(`${at}.title must be a non-empty string`);
+                        for (const key of ['text', 'image', 'link', 'linkLabel']) {
+                            if (info[key] !== undefined && typeof info[key] !== 'string') errors.push(`${at}.${key} must be a string`);
+                        }
+                    });
+                }
+            }
+            if (sc.floor !== undefined) {
+                if (!Number.isInteger(sc.floor)) {
+                    errors.push(`${where}.floor must be an integer floor level`);
+                } else if (levels.size && !levels.has(sc.floor)) {
+                    errors.push(`${where}.floor ${sc.floor} is not one of the "floors"`);
+                }
             }
+        });
 
-            if (!panoSphere.parent) scene.add(panoSphere);
-            panoSphere.visible = true;
-            panoSphere.position.set(0, 0, 0);
+        if (data.viewLimits !== undefined) {
+            const vl = data.viewLimits;
+            if (!vl || typeof vl !== 'object' || Array.isArray(vl)) {
+                errors.push('"viewLimits" must be { minFov, maxFov, minPitch, maxPitch }');
+            } else {
+                const keys = Object.keys(DEFAULT_LIMITS);
+                for (const key of keys) {
+                    if (vl[key] !== undefined && !isNum(vl[key])) errors.push(`viewLimits.${key} must be a number of degrees`);
+                }
+                if (keys.every(key => vl[key] === undefined || isNum(vl[key]))) {
+                    const lim = { ...DEFAULT_LIMITS, ...vl };
+                    if (lim.minFov < 1 || lim.maxFov > 170 || lim.minFov >= lim.maxFov) {
+                        errors.push('viewLimits: minFov must be below maxFov, both within 1-170');
+                    }
+                    if (lim.minPitch < -90 || lim.maxPitch > 90 || lim.minPitch >= lim.maxPitch) {
+                        errors.push('viewLimits: minPitch must be below maxPitch, both within -90-90');
+                    }
+                }
+            }
+        }
 
-            // Start fade-in
-            panoFading = true;
-            panoFadeProgress = 0;
-            panoSphere.material.opacity = 0;
+        if (data.guidedTour !== undefined) {
+            const gt = data.guidedTour;
+            if (!gt || !Array.isArray(gt.steps) || gt.steps.length === 0) {
+                errors.push('"guidedTour" must be { title, steps } with at least one step');
+            } else {
+                if (gt.title !== undefined && typeof gt.title !== 'string') errors.push('guidedTour.title must be a string');
+                gt.steps.forEach((step, i) => errors.push(...validateGuidedStep(step, `guidedTour.steps[${i}]`, ids)));
+            }
+        }
 
-            updatePanoCamera();
-            createPanoArrows();
-        },
-        undefined,
-        undefined
-    );
-}
+        // Second pass once all ids are known
+        data.scenes.forEach((sc, i) => {
+            if (!sc || !Array.isArray(sc.links)) return;
+            sc.links.forEach((target, j) => {
+                if (target === sc.id) {
+                    errors.push(`scenes[${i}].links[${j}] links scene ${sc.id} to itself`);
+                } else if (!ids.has(target)) {
+                    errors.push(`scenes[${i}].links[${j}] points to unknown scene ${JSON.stringify(target)}`);
+                }
+            });
+        });
 
-function exitPanorama() {
-    currentMode = 'dollhouse';
+        return errors;
+    }
 
-    // Hide pano sphere
-    if (panoSphere) panoSphere.visible = false;
+    function applyTourDefinition(data) {
+        const offsets = {};
+        const connections = {};
+        const labels = {};
+        const positions = {};
+        const files = [];
+        const sceneLevels = {};
+        const infoPoints = {};
+
+        for (const sc of data.scenes) {
+            offsets[sc.id] = sc.northOffset || 0;
+            if (sc.infoPoints && sc.infoPoints.length) infoPoints[sc.id] = sc.infoPoints.map(info => ({ ...info }));
+            if (sc.floor !== undefined) sceneLevels[sc.id] = sc.floor;
+            connections[sc.id] = sc.links ? [...sc.links] : [];
+            if (sc.label) labels[sc.id] = sc.label;
+            if (sc.position) positions[sc.id] = { x: sc.position.x, y: sc.position.y, z: sc.position.z };
+            if (sc.file) files.push(sc.file);
+        }
 
-    // Remove arrows
-    removePanoArrows();
+        panoNorthOffset = offsets;
+        panoConnections = connections;
+        sceneLabels = labels;
+        // Only casa may fall back to the built-in positions; they'd be wrong on any other house
+        tourHotspots = Object.keys(positions).length || property.id !== DEFAULT_PROPERTY.id ? positions : null;
+        tourFiles = files;
+        northWorldYaw = data.northYaw ?? DEFAULT_NORTH_YAW;
+        sceneFloors = sceneLevels;
+        sceneInfoPoints = infoPoints;
+        guidedTour = data.guidedTour
+            ? { title: data.guidedTour.title || '', steps: data.guidedTour.steps.map(step => ({ ...step })) }
+            : null;
+        viewLimits = data.viewLimits ? { ...data.viewLimits } : null;
+        panoControls.setLimits({ ...DEFAULT_LIMITS, ...viewLimits });
+
+        // Floors may be left out when scenes are tagged; they're then listed without elevations
+        const declared = data.floors || [...new Set(Object.values(sceneLevels))].map(level => ({ level }));
+        floors = declared
+            .map(fl => ({ level: fl.level, label: fl.label || floorLabel(fl.level), elevation: fl.elevation ?? null }))
+            .sort((a, b) => a.level - b.level);
+    }
 
-    // Restore camera state
-    if (savedCameraPos) {
-        camera.position.copy(savedCameraPos);
-        controls.target.copy(savedControlsTarget);
-        camera.fov = savedCameraFov;
-        camera.near = savedCameraNear;
-        camera.far = savedCameraFar;
-        camera.updateProjectionMatrix();
+    // Display name for a scene: tour.json label, else derived from the file name
+    function sceneName(pano) {
+        return sceneLabels[pano.index] || pano.label || friendlyName(pano.file);
     }
 
-    // Show dollhouse UI
-    document.querySelector('.tour-ui').classList.remove('pano-active');
-    panoOverlay.classList.remove('visible');
+    // ============================================
+    // FLOORS (per-floor hotspots, level switching)
+    // ============================================
 
-    // Show the dollhouse model, hotspots and connections
-    if (model) model.visible = true;
-    hotspotMeshes.forEach(m => m.visible = true);
+    // The fixed Top Down view, used while all floors are shown
+    const TOP_SPOT_DEFAULT = { position: { ...SPOTS.top.position }, target: { ...SPOTS.top.target } };
 
-    // Re-enable orbit controls
-    controls.enabled = true;
-    controls.update();
+    // Model materials share this array (see loadModel), so planes added here clip the whole house
+    const modelClipPlanes = [];
+    const floorClipPlane = new THREE.Plane(new THREE.Vector3(0, -1, 0), 0);
 
-    // Dispose texture
-    if (currentPanoTexture) {
-        currentPanoTexture.dispose();
-        currentPanoTexture = null;
+    function floorLabel(level) {
+        return level === 0 ? 'Ground floor' : `Floor ${level}`;
     }
-}
 
-function navigatePano(pano) {
-    if (!pano) return;
-    currentPanoIndex = pano.arrayIdx;
-    panoYaw = 0;
-    panoPitch = 0;
-    panoFov = 60;
-    camera.fov = 60;
-    camera.updateProjectionMatrix();
-    loadPanoTexture(pano);
-    updatePanoLabel(pano);
-}
+    // Untagged scenes belong to the lowest floor
+    function sceneFloor(num) {
+        return sceneFloors[num] ?? (floors.length ? floors[0].level : 0);
+    }
 
-function updatePanoLabel(pano) {
-    if (panoLabel) {
-        const name = pano.file.replace(/[-_]\d+\.jpe?g$/i, '').replace(/[-_]/g, ' ');
-        panoLabel.textContent = name.charAt(0).toUpperCase() + name.slice(1) + ' (' + pano.index + '/' + panoGraph.length + ')';
+    function visibleHotspotMeshes() {
+        return hotspotMeshes.filter(m => m.visible);
     }
-}
 
-function updatePanoCamera() {
-    const phi = THREE.MathUtils.degToRad(90 - panoPitch);
-    const theta = THREE.MathUtils.degToRad(panoYaw);
+    function applyHotspotVisibility() {
+        if (currentMode === 'panorama') return;
+        for (const mesh of hotspotMeshes) {
+            mesh.visible = selectedFloor === null || sceneFloor(mesh.userData.panoIndex) === selectedFloor;
+        }
+        renderA11yProxies();
+    }
 
-    const target = new THREE.Vector3(
-        Math.sin(phi) * Math.cos(theta),
-        Math.cos(phi),
-        Math.sin(phi) * Math.sin(theta)
-    );
+    // True if the point is in a part of the model the clip planes cut away
+    function isClippedAway(point) {
+        return modelClipPlanes.some(plane => plane.distanceToPoint(point) < 0);
+    }
 
-    camera.lookAt(target);
-}
+    // Raycast hits on the model worth picking: meshes, not the section outline drawn
+    // inside it, and not geometry that is clipped away but still intersects
+    function isModelSurfaceHit(hit) {
+        return hit.object.isMesh && !isClippedAway(hit.point);
+    }
 
-// ============================================
-// PANORAMA ARROWS - Floor circles (VR-style navigation)
-// ============================================
+    function renderFloorSelector() {
+        if (!floorSelector) return;
+        floorSelector.innerHTML = '';
+        floorSelector.classList.toggle('visible', floors.length > 1);
+        if (floors.length < 2) return;
+
+        const options = [{ level: null, label: 'All floors' }, ...floors];
+        for (const fl of options) {
+            const btn = document.createElement('button');
+            btn.className = 'spot-btn floor-btn';
+            btn.classList.toggle('active', fl.level === selectedFloor);
+            btn.textContent = fl.label;
+            btn.addEventListener('click', () => setFloor(fl.level));
+            floorSelector.appendChild(btn);
+        }
+    }
 
-function createPanoArrows() {
-    removePanoArrows();
+    function setFloor(level) {
+        if (level !== null && !floors.some(fl => fl.level === level)) return;
+        selectedFloor = level;
+        renderFloorSelector();
+        updateFloorClipping();
+        applyHotspotVisibility();
+        frameTopDownSpot();
+        scheduleHashUpdate();
+        announce(level === null ? 'Showing all floors' : `Showing ${floorLabel(level)}`);
+    }
 
-    const pano = panoGraph[currentPanoIndex];
-    if (!pano) return;
+    // Everything from the next floor's elevation up is clipped away
+    function updateFloorClipping() {
+        const idx = modelClipPlanes.indexOf(floorClipPlane);
+        if (idx !== -1) modelClipPlanes.splice(idx, 1);
+        const above = selectedFloor === null ? null : floors.find(fl => fl.level > selectedFloor && fl.elevation !== null);
+        if (!above) {
+            onClipPlanesChanged();
+            return;
+        }
+        floorClipPlane.constant = above.elevation;
+        modelClipPlanes.push(floorClipPlane);
+        onClipPlanesChanged();
+    }
 
-    const currentPos = hotspotPositions[pano.index];
-    if (!currentPos) return;
+    // Top Down looks straight down onto the selected floor, framing the house footprint
+    function frameTopDownSpot() {
+        const current = floors.find(fl => fl.level === selectedFloor);
+        if (!current || !modelBoundingBox) {
+            SPOTS.top.position = { ...TOP_SPOT_DEFAULT.position };
+            SPOTS.top.target = { ...TOP_SPOT_DEFAULT.target };
+            return;
+        }
 
-    // Get connections for this pano from the graph
-    const connections = PANO_CONNECTIONS[pano.index] || [];
+        const box = modelBoundingBox;
+        const center = box.getCenter(new THREE.Vector3());
+        const above = floors.find(fl => fl.level > selectedFloor && fl.elevation !== null);
+        const floorY = current.elevation ?? box.min.y;
+        const ceilingY = above ? above.elevation : box.max.y;
+        const span = Math.max(box.max.x - box.min.x, box.max.z - box.min.z);
+        const dist = (span / 2) / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * 1.2;
 
-    for (const targetIndex of connections) {
-        const targetPano = getPanoByNumber(targetIndex);
-        const targetPos = hotspotPositions[targetIndex];
-        if (!targetPano || !targetPos) continue;
+        SPOTS.top.position = { x: center.x, y: ceilingY + dist, z: center.z + 0.1 };
+        SPOTS.top.target = { x: center.x, y: floorY, z: center.z };
+    }
 
-        // Calculate direction from current to target, adjusted for pano orientation
-        const dx = targetPos.x - currentPos.x;
-        const dz = targetPos.z - currentPos.z;
-        const worldYaw = THREE.MathUtils.radToDeg(Math.atan2(dz, dx));
-        const offset = PANO_NORTH_OFFSET[pano.index] || 0;
-        const yawDeg = worldYaw - offset;
+    // ============================================
+    // SECTION / CUTAWAY (clipping planes)
+    // ============================================
+
+    // Slider values are fractions of the model's bounding box. height: 1 = no slice;
+    // x / z: how far the section cuts in from the +axis side (or the -axis side when flipped).
+    const sectionState = { height: 1, x: 0, z: 0, flipX: false, flipZ: false, outline: true };
+    const sectionPlanes = {
+        height: new THREE.Plane(new THREE.Vector3(0, -1, 0), 0),
+        x: new THREE.Plane(new THREE.Vector3(-1, 0, 0), 0),
+        z: new THREE.Plane(new THREE.Vector3(0, 0, -1), 0)
+    };
+
+    let modelTriangles = null;        // model-space triangle corners, built on first outline
+    let sectionOutline = null;        // LineSegments along the cut, child of the model
+    let sectionOutlineQueued = false;
+
+    function updateSectionPlanes() {
+        if (!modelBoundingBox) return;
+        const { min, max } = modelBoundingBox;
+        const active = {
+            height: sectionState.height < 1,
+            x: sectionState.x > 0,
+            z: sectionState.z > 0
+        };
+
+        sectionPlanes.height.constant = min.y + (max.y - min.y) * sectionState.height;
+        for (const axis of ['x', 'z']) {
+            const flip = axis === 'x' ? sectionState.flipX : sectionState.flipZ;
+            const depth = (max[axis] - min[axis]) * sectionState[axis];
+            const plane = sectionPlanes[axis];
+            // Keeps the side the normal points to: below max - depth, or above min + depth when flipped
+            plane.normal.set(0, 0, 0);
+            plane.normal[axis] = flip ? 1 : -1;
+            plane.constant = flip ? -(min[axis] + depth) : max[axis] - depth;
+        }
 
-        const obj = createFloorCircle(
-            friendlyName(targetPano.file),
-            yawDeg,
-            true,
-            () => navigatePano(targetPano)
-        );
-        panoArrows.push(obj);
+        for (const [key, plane] of Object.entries(sectionPlanes)) {
+            const idx = modelClipPlanes.indexOf(plane);
+            if (active[key] && idx === -1) modelClipPlanes.push(plane);
+            if (!active[key] && idx !== -1) modelClipPlanes.splice(idx, 1);
+        }
+        onClipPlanesChanged();
     }
-}
 
-function friendlyName(file) {
-    return file.replace(/[-_]\d+\.jpe?g$/i, '').replace(/[-_]/g, ' ');
-}
+    // While anything is clipped, draw both sides of every face so the cut never depends on
+    // mesh winding; otherwise keep the FrontSide cutaway of the exterior walls
+    function onClipPlanesChanged() {
+        if (model) {
+            const side = modelClipPlanes.length ? THREE.DoubleSide : THREE.FrontSide;
+            model.traverse((child) => {
+                if (!child.isMesh || !child.material) return;
+                for (const material of [].concat(child.material)) {
+                    if (material.side === side) continue;
+                    material.side = side;
+                    material.needsUpdate = true;
+                }
+            });
+        }
+        scheduleSectionOutline();
+    }
 
-function createFloorCircle(label, yawDeg, isNext, onClick) {
-    const group = new THREE.Group();
-    group.userData.onClick = onClick;
-    group.userData.isArrow = true;
-
-    // Position on the floor, matching camera convention (yaw=0 is +X)
-    const theta = THREE.MathUtils.degToRad(yawDeg);
-    const r = 25;
-    group.position.set(
-        r * Math.cos(theta),
-        -12,
-        r * Math.sin(theta)
-    );
-
-    // Flat circle lying on the floor
-    // Outer glow ring
-    const glowGeo = new THREE.RingGeometry(2.8, 3.6, 48);
-    const glowMat = new THREE.MeshBasicMaterial({
-        color: 0xc9a962,
-        transparent: true,
-        opacity: 0.3,
-        side: THREE.DoubleSide,
-        depthTest: false
-    });
-    const glow = new THREE.Mesh(glowGeo, glowMat);
-    glow.rotation.x = -Math.PI / 2;
-    glow.renderOrder = 97;
-    group.add(glow);
-    group.userData.glowMat = glowMat;
-
-    // Main ring
-    const ringGeo = new THREE.RingGeometry(2.0, 2.8, 48);
-    const ringMat = new THREE.MeshBasicMaterial({
-        color: 0xc9a962,
-        transparent: true,
-        opacity: 0.7,
-        side: THREE.DoubleSide,
-        depthTest: false
-    });
-    const ring = new THREE.Mesh(ringGeo, ringMat);
-    ring.rotation.x = -Math.PI / 2;
-    ring.renderOrder = 98;
-    group.add(ring);
-
-    // Inner filled circle
-    const innerGeo = new THREE.CircleGeometry(2.0, 48);
-    const innerMat = new THREE.MeshBasicMaterial({
-        color: 0x1a3a4a,
-        transparent: true,
-        opacity: 0.5,
-        side: THREE.DoubleSide,
-        depthTest: false
-    });
-    const inner = new THREE.Mesh(innerGeo, innerMat);
-    inner.rotation.x = -Math.PI / 2;
-    inner.renderOrder = 99;
-    group.add(inner);
-
-    // Chevron arrow pointing outward (away from center = toward target)
-    const chevronShape = new THREE.Shape();
-    chevronShape.moveTo(-0.6, 1.0);
-    chevronShape.lineTo(0.6, 0);
-    chevronShape.lineTo(-0.6, -1.0);
-    chevronShape.lineTo(-0.2, 0);
-    chevronShape.closePath();
-    const chevGeo = new THREE.ShapeGeometry(chevronShape);
-    const chevMat = new THREE.MeshBasicMaterial({
-        color: 0xc9a962,
-        transparent: true,
-        opacity: 0.9,
-        side: THREE.DoubleSide,
-        depthTest: false
-    });
-    const chevron = new THREE.Mesh(chevGeo, chevMat);
-    chevron.rotation.x = -Math.PI / 2;
-    // Rotate the chevron so it points outward from center toward target
-    chevron.rotation.z = -(Math.PI / 2 + THREE.MathUtils.degToRad(yawDeg));
-    chevron.position.y = 0.05;
-    chevron.renderOrder = 100;
-    group.add(chevron);
-
-    // Label floating above the circle
-    const canvas = document.createElement('canvas');
-    canvas.width = 512;
-    canvas.height = 80;
-    const ctx = canvas.getContext('2d');
-    // Background pill
-    ctx.fillStyle = 'rgba(0,0,0,0.6)';
-    ctx.beginPath();
-    const pw = ctx.measureText(label).width || 200;
-    ctx.arc(40, 40, 36, Math.PI / 2, Math.PI * 1.5);
-    ctx.arc(472, 40, 36, -Math.PI / 2, Math.PI / 2);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '500 30px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(label, 256, 42);
-
-    const labelTex = new THREE.CanvasTexture(canvas);
-    const labelMat = new THREE.SpriteMaterial({ map: labelTex, transparent: true, depthTest: false });
-    const labelSprite = new THREE.Sprite(labelMat);
-    labelSprite.position.set(0, 2.5, 0);
-    labelSprite.scale.set(7, 1.1, 1);
-    labelSprite.renderOrder = 101;
-    group.add(labelSprite);
-
-    scene.add(group);
-    return group;
-}
+    // Outline work is per triangle, so slider drags are coalesced to one rebuild per frame
+    function scheduleSectionOutline() {
+        if (sectionOutlineQueued) return;
+        sectionOutlineQueued = true;
+        requestAnimationFrame(() => {
+            sectionOutlineQueued = false;
+            updateSectionOutline();
+        });
+    }
 
-// Animate floor circles (pulse glow)
-function updatePanoArrowPulse(time) {
-    for (const group of panoArrows) {
-        if (group.userData.glowMat) {
-            const pulse = 0.2 + 0.15 * Math.sin(time * 0.004);
-            group.userData.glowMat.opacity = pulse;
+    function updateSectionOutline() {
+        if (sectionOutline) {
+            sectionOutline.removeFromParent();
+            sectionOutline.geometry.dispose();
+            sectionOutline.material.dispose();
+            sectionOutline = null;
         }
-    }
-}
+        if (!model || !sectionState.outline || modelClipPlanes.length === 0) return;
+
+        model.updateMatrixWorld();
+        const toModel = model.matrixWorld.clone().invert();
+        const planes = modelClipPlanes.map(plane => plane.clone().applyMatrix4(toModel));
+        const tris = getModelTriangles();
+        const points = [];
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        const dist = [0, 0, 0];
+
+        planes.forEach((plane, p) => {
+            const others = planes.filter((_, i) => i !== p);
+            for (let t = 0; t < tris.length; t += 9) {
+                for (let k = 0; k < 3; k++) {
+                    corners[k].fromArray(tris, t + k * 3);
+                    dist[k] = plane.distanceToPoint(corners[k]);
+                }
+                if ((dist[0] > 0 && dist[1] > 0 && dist[2] > 0) || (dist[0] < 0 && dist[1] < 0 && dist[2] < 0)) continue;
+
+                // The two edges that cross the plane give the segment's ends
+                let found = 0;
+                for (let k = 0; k < 3 && found < 2; k++) {
+                    const k2 = (k + 1) % 3;
+                    if ((dist[k] < 0) === (dist[k2] < 0)) continue;
+                    const target = found === 0 ? a : b;
+                    target.lerpVectors(corners[k], corners[k2], dist[k] / (dist[k] - dist[k2]));
+                    found++;
+                }
+                if (found < 2) continue;
 
-function removePanoArrows() {
-    panoArrows.forEach(obj => {
-        obj.traverse(child => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) {
-                if (child.material.map) child.material.map.dispose();
-                child.material.dispose();
+                // Trim the parts other planes have already cut away
+                if (others.every(other => clipSegment(a, b, other))) points.push(a.x, a.y, a.z, b.x, b.y, b.z);
             }
         });
-        scene.remove(obj);
-    });
-    panoArrows = [];
-}
-
-// ============================================
-// PANORAMA POINTER CONTROLS (drag to look)
-// ============================================
+        if (points.length === 0) return;
 
-function onPanoPointerDown(e) {
-    if (currentMode !== 'panorama') return;
-    panoPointerDown = true;
-    panoPointerX = e.clientX || (e.touches && e.touches[0].clientX) || 0;
-    panoPointerY = e.clientY || (e.touches && e.touches[0].clientY) || 0;
-}
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+        sectionOutline = new THREE.LineSegments(geo, new THREE.LineBasicMaterial({ color: SECTION_EDGE_COLOR }));
+        model.add(sectionOutline);
+    }
 
-function onPanoPointerMove(e) {
-    if (currentMode !== 'panorama' || !panoPointerDown) return;
-    const x = e.clientX || (e.touches && e.touches[0].clientX) || 0;
-    const y = e.clientY || (e.touches && e.touches[0].clientY) || 0;
-    const dx = x - panoPointerX;
-    const dy = y - panoPointerY;
-    panoPointerX = x;
-    panoPointerY = y;
-
-    panoYaw -= dx * 0.3;
-    panoPitch = Math.max(-85, Math.min(85, panoPitch + dy * 0.3));
-    updatePanoCamera();
-
-    // Reposition arrows relative to camera
-    repositionPanoArrows();
-}
+    // Shortens segment a-b to the kept side of the plane; false if nothing is left
+    function clipSegment(a, b, plane) {
+        const da = plane.distanceToPoint(a);
+        const db = plane.distanceToPoint(b);
+        if (da < 0 && db < 0) return false;
+        if (da < 0) a.lerp(b, da / (da - db));
+        else if (db < 0) b.lerp(a, db / (db - da));
+        return true;
+    }
 
-function onPanoPointerUp() {
-    panoPointerDown = false;
-}
+    function getModelTriangles() {
+        if (modelTriangles) return modelTriangles;
+        const meshes = [];
+        let count = 0;
+        model.traverse((child) => {
+            if (!child.isMesh || !child.geometry.attributes.position) return;
+            meshes.push(child);
+            const geo = child.geometry;
+            count += geo.index ? geo.index.count : geo.attributes.position.count;
+        });
 
-function repositionPanoArrows() {
-    const pano = panoGraph[currentPanoIndex];
-    if (!pano) return;
+        const toModel = model.matrixWorld.clone().invert();
+        const out = new Float32Array(count * 3);
+        const v = new THREE.Vector3();
+        let o = 0;
+        for (const mesh of meshes) {
+            const matrix = toModel.clone().multiply(mesh.matrixWorld);
+            const pos = mesh.geometry.attributes.position;
+            const index = mesh.geometry.index;
+            const n = index ? index.count : pos.count;
+            for (let i = 0; i < n; i++) {
+                v.fromBufferAttribute(pos, index ? index.getX(i) : i).applyMatrix4(matrix);
+                out[o++] = v.x;
+                out[o++] = v.y;
+                out[o++] = v.z;
+            }
+        }
+        modelTriangles = out;
+        return out;
+    }
 
-    // Arrows stay at fixed world positions relative to initial orientation.
-    // As the camera rotates, they naturally appear to move in/out of view.
-}
+    function setupSectionControls() {
+        if (!sectionPanel) return;
+        sectionToggle.addEventListener('click', () => {
+            const open = sectionPanel.classList.toggle('open');
+            sectionToggle.setAttribute('aria-expanded', String(open));
+        });
+        sectionPanel.querySelectorAll('input[type="range"]').forEach((input) => {
+            input.addEventListener('input', () => {
+                sectionState[input.dataset.section] = Number(input.value);
+                updateSectionPlanes();
+            });
+        });
+        sectionPanel.querySelectorAll('[data-flip]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const key = btn.dataset.flip === 'x' ? 'flipX' : 'flipZ';
+                sectionState[key] = !sectionState[key];
+                btn.classList.toggle('active', sectionState[key]);
+                updateSectionPlanes();
+            });
+        });
+        sectionOutlineToggle.addEventListener('change', () => {
+            sectionState.outline = sectionOutlineToggle.checked;
+            scheduleSectionOutline();
+        });
+        ref('sectionReset').addEventListener('click', resetSection);
+    }
 
-// ============================================
-// PANORAMA ZOOM (wheel + pinch)
-// ============================================
+    function resetSection() {
+        Object.assign(sectionState, { height: 1, x: 0, z: 0, flipX: false, flipZ: false });
+        sectionPanel.querySelectorAll('input[type="range"]').forEach((input) => {
+            input.value = sectionState[input.dataset.section];
+        });
+        sectionPanel.querySelectorAll('[data-flip]').forEach(btn => btn.classList.remove('active'));
+        updateSectionPlanes();
+    }
 
-function onPanoWheel(e) {
-    if (currentMode !== 'panorama') return;
-    e.preventDefault();
-    panoFov += e.deltaY * 0.05;
-    panoFov = Math.max(30, Math.min(100, panoFov));
-    camera.fov = panoFov;
-    camera.updateProjectionMatrix();
-}
+    // ============================================
+    // MEASUREMENT (distances and floor areas on the model)
+    // ============================================
+    // glTF units are metres. Clicks go through onPointerClick(), which hands them
+    // here before hotspots while measuring, so a hotspot under a point isn't entered.
+
+    let measuring = false;
+    let measureTool = 'distance';  // 'distance' | 'area'
+    let measurements = [];         // finished: { type, points: Vector3[] }
+    let measureDraft = [];         // points of the measurement being placed
+    let measureHover = null;       // { point, snap } under the pointer
+    let measureGroup = null;       // finished measurements, rebuilt when they change
+    let measureDraftGroup = null;  // draft and snap marker, rebuilt as the pointer moves
+    let measureLabels = [];        // { el, position, draft } placed on screen every frame
+
+    function setupMeasureControls() {
+        if (!measurePanel) return;
+        measureToggle.addEventListener('click', () => setMeasuring(!measuring));
+        measurePanel.querySelectorAll('[data-measure-tool]').forEach((btn) => {
+            btn.addEventListener('click', () => setMeasureTool(btn.dataset.measureTool));
+        });
+        ref('measureFinish').addEventListener('click', finishMeasurement);
+        ref('measureUndo').addEventListener('click', undoMeasurePoint);
+        ref('measureClear').addEventListener('click', () => {
+            measurements = [];
+            measureDraft = [];
+            renderMeasurements();
+        });
+        ref('measureExport').addEventListener('click', exportMeasurements);
 
-function getTouchDist(e) {
-    const t = e.touches;
-    const dx = t[0].clientX - t[1].clientX;
-    const dy = t[0].clientY - t[1].clientY;
-    return Math.sqrt(dx * dx + dy * dy);
-}
+        const canvas = renderer.domElement;
+        canvas.addEventListener('pointermove', onMeasurePointerMove);
+        canvas.addEventListener('dblclick', () => { if (measuring) finishMeasurement(); });
 
-// ============================================
-// CLICK / TAP HANDLING
-// ============================================
+        measureGroup = new THREE.Group();
+        measureDraftGroup = new THREE.Group();
+        measureGroup.add(measureDraftGroup);
+        scene.add(measureGroup);
+        setMeasureTool('distance');
+    }
 
-function onPointerClick(e) {
-    // Get pointer position
-    const rect = renderer.domElement.getBoundingClientRect();
-    const clientX = e.clientX || (e.changedTouches && e.changedTouches[0].clientX) || 0;
-    const clientY = e.clientY || (e.changedTouches && e.changedTouches[0].clientY) || 0;
-    pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
-    pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
-
-    raycaster.setFromCamera(pointer, camera);
-
-    if (currentMode === 'panorama') {
-        // Check arrow clicks (recursive since arrows are groups with children)
-        const hits = raycaster.intersectObjects(panoArrows, true);
-        if (hits.length > 0) {
-            // Walk up to find the object with the onClick handler
-            let obj = hits[0].object;
-            while (obj && !obj.userData.onClick) obj = obj.parent;
-            if (obj && obj.userData.onClick) obj.userData.onClick();
-        }
-        return;
-    }
-
-    // Dollhouse mode - check hotspot clicks
-    const hotHits = raycaster.intersectObjects(hotspotMeshes, true);
-    if (hotHits.length > 0) {
-        // Walk up to root hotspot mesh
-        let obj = hotHits[0].object;
-        while (obj.parent && !obj.userData.panoIndex) obj = obj.parent;
-        if (obj.userData.panoIndex) {
-            enterPanorama(obj.userData.panoIndex);
+    function setMeasuring(on) {
+        measuring = on;
+        measurePanel.classList.toggle('open', on);
+        measureToggle.setAttribute('aria-pressed', String(on));
+        container.classList.toggle('measuring', on);
+        if (!on) {
+            measureDraft = [];
+            measureHover = null;
         }
+        renderMeasurements();
     }
-}
 
-// Distinguish click from drag
-let pointerDownTime = 0;
-let pointerDownPos = { x: 0, y: 0 };
+    function setMeasureTool(tool) {
+        measureTool = tool;
+        measureDraft = [];
+        measurePanel.querySelectorAll('[data-measure-tool]').forEach((btn) => {
+            btn.classList.toggle('active', btn.dataset.measureTool === tool);
+        });
+        renderMeasurements();
+    }
 
-function onGlobalPointerDown(e) {
-    pointerDownTime = Date.now();
-    pointerDownPos.x = e.clientX || (e.touches && e.touches[0].clientX) || 0;
-    pointerDownPos.y = e.clientY || (e.touches && e.touches[0].clientY) || 0;
-    onPanoPointerDown(e);
-}
+    function onMeasurePointerMove(e) {
+        if (!measuring || currentMode !== 'dollhouse') return;
+        setPointerFromEvent(e);
+        measureHover = findMeasurePoint();
+        renderMeasureDraft();
+    }
 
-function onGlobalPointerUp(e) {
-    onPanoPointerUp();
-    const elapsed = Date.now() - pointerDownTime;
-    const cx = e.clientX || (e.changedTouches && e.changedTouches[0].clientX) || 0;
-    const cy = e.clientY || (e.changedTouches && e.changedTouches[0].clientY) || 0;
-    const dist = Math.sqrt((cx - pointerDownPos.x) ** 2 + (cy - pointerDownPos.y) ** 2);
-    // Only treat as click if short press and minimal movement
-    if (elapsed < 300 && dist < 10) {
-        onPointerClick(e);
+    function onMeasureClick() {
+        const hit = findMeasurePoint();
+        if (!hit) return;
+        // Clicking the first corner again closes an area
+        if (measureTool === 'area' && measureDraft.length >= 3 && screenDistance(hit.point, measureDraft[0]) < SNAP_VERTEX_PX) {
+            finishMeasurement();
+            return;
+        }
+        measureDraft.push(hit.point);
+        renderMeasureDraft();
     }
-}
 
-function onGlobalPointerMove(e) {
-    onPanoPointerMove(e);
-}
+    function finishMeasurement() {
+        // A double-click also lands two clicks on the same spot
+        const points = measureDraft.filter((p, i) => i === 0 || p.distanceTo(measureDraft[i - 1]) > 1e-4);
+        const needed = measureTool === 'area' ? 3 : 2;
+        if (points.length >= needed) measurements.push({ type: measureTool, points });
+        measureDraft = [];
+        renderMeasurements();
+    }
 
-function onKeyDown(e) {
-    if (e.key === 'Escape' && currentMode === 'panorama') {
-        exitPanorama();
+    function undoMeasurePoint() {
+        if (measureDraft.length) measureDraft.pop();
+        else measurements.pop();
+        renderMeasurements();
     }
-}
 
-// ============================================
-// FULLSCREEN
-// ============================================
+    // Model point under the raycaster, snapped to a nearby vertex or edge of the hit triangle
+    function findMeasurePoint() {
+        if (!model) return null;
+        const hit = raycaster.intersectObject(model, true).find(isModelSurfaceHit);
+        if (!hit) return null;
+        if (!hit.face) return { point: hit.point.clone(), snap: 'surface' };
+
+        const pos = hit.object.geometry.attributes.position;
+        const corners = [hit.face.a, hit.face.b, hit.face.c].map(i =>
+            new THREE.Vector3().fromBufferAttribute(pos, i).applyMatrix4(hit.object.matrixWorld));
+
+        let best = null;
+        let bestPx = SNAP_VERTEX_PX;
+        for (const corner of corners) {
+            const px = screenDistance(corner, hit.point);
+            if (px < bestPx) {
+                best = corner;
+                bestPx = px;
+            }
+        }
+        if (best) return { point: best, snap: 'vertex' };
+
+        const edge = new THREE.Line3();
+        bestPx = SNAP_EDGE_PX;
+        for (let k = 0; k < 3; k++) {
+            edge.set(corners[k], corners[(k + 1) % 3]);
+            const closest = edge.closestPointToPoint(hit.point, true, new THREE.Vector3());
+            const px = screenDistance(closest, hit.point);
+            if (px < bestPx) {
+                best = closest;
+                bestPx = px;
+            }
+        }
+        if (best) return { point: best, snap: 'edge' };
+        return { point: hit.point.clone(), snap: 'surface' };
+    }
 
-function toggleFullscreen() {
-    // Check both own document and parent for fullscreen state
-    const isFullscreen = document.fullscreenElement || (window.parent !== window && window.parent.document.fullscreenElement);
-    if (!isFullscreen) {
-        const el = document.documentElement;
-        (el.requestFullscreen || el.webkitRequestFullscreen || el.msRequestFullscreen).call(el);
-    } else {
-        // Exit from whichever document is fullscreened
-        const doc = document.fullscreenElement ? document : window.parent.document;
-        (doc.exitFullscreen || doc.webkitExitFullscreen || doc.msExitFullscreen).call(doc);
+    // Distance in CSS pixels between two world points as seen by the camera
+    function screenDistance(a, b) {
+        const pa = a.clone().project(camera);
+        const pb = b.clone().project(camera);
+        const el = renderer.domElement;
+        return Math.hypot((pa.x - pb.x) * el.clientWidth / 2, (pa.y - pb.y) * el.clientHeight / 2);
     }
-}
 
-// ============================================
-// UI SETUP
-// ============================================
+    function polylineLength(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) total += points[i].distanceTo(points[i - 1]);
+        return total;
+    }
 
-function setupUI() {
-    // Teleport buttons
-    Object.entries(SPOTS).forEach(([key, spot]) => {
-        const btn = document.createElement('button');
-        btn.className = 'spot-btn';
-        btn.dataset.spot = key;
-        btn.textContent = spot.name;
-        btn.addEventListener('click', () => teleportTo(key));
-        teleportSpots.appendChild(btn);
-    });
+    // Area of a planar polygon in 3D (Newell's method), so sloped surfaces measure correctly too
+    function polygonArea(points) {
+        const normal = new THREE.Vector3();
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            normal.x += (a.y - b.y) * (a.z + b.z);
+            normal.y += (a.z - b.z) * (a.x + b.x);
+            normal.z += (a.x - b.x) * (a.y + b.y);
+        }
+        return normal.length() / 2;
+    }
 
-    // Mode toggle removed - no inside GLB navigation
+    function formatMetres(m) {
+        return m < 10 ? `${m.toFixed(2)} m` : `${m.toFixed(1)} m`;
+    }
 
-    // Fullscreen
-    fullscreenBtn.addEventListener('click', toggleFullscreen);
+    function renderMeasurements() {
+        if (!measureGroup) return;
+        clearMeasureObjects(measureGroup, false);
+        for (const m of measurements) drawMeasurement(m.type, m.points, false);
+        renderMeasureDraft();
+    }
 
-    // Hint close
-    hintClose.addEventListener('click', () => controlsHint.classList.add('hidden'));
-    setTimeout(() => controlsHint.classList.add('hidden'), 10000);
+    // Only the measurement being placed and the snap marker; runs on every pointer move
+    function renderMeasureDraft() {
+        if (!measureDraftGroup) return;
+        clearMeasureObjects(measureDraftGroup, true);
+        if (measuring) {
+            const draft = measureHover ? [...measureDraft, measureHover.point] : measureDraft;
+            if (draft.length) drawMeasurement(measureTool, draft, true);
+            if (measureHover) {
+                const marker = new THREE.Points(
+                    new THREE.BufferGeometry().setFromPoints([measureHover.point]),
+                    new THREE.PointsMaterial({ color: SNAP_COLORS[measureHover.snap], size: 12, sizeAttenuation: false, depthTest: false })
+                );
+                marker.renderOrder = 1002;
+                measureDraftGroup.add(marker);
+            }
+        }
+        updateMeasureStatus();
+    }
 
-    // Pano back button
-    if (panoBackBtn) panoBackBtn.addEventListener('click', exitPanorama);
+    function clearMeasureObjects(group, draft) {
+        for (const child of [...group.children]) {
+            if (child === measureDraftGroup) continue;
+            child.removeFromParent();
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+        measureLabels = measureLabels.filter((label) => {
+            if (label.draft !== draft) return true;
+            label.el.remove();
+            return false;
+        });
+    }
 
-    // Pointer events (unified mouse + touch)
-    const canvas = renderer.domElement;
-    canvas.addEventListener('pointerdown', onGlobalPointerDown);
-    canvas.addEventListener('pointermove', onGlobalPointerMove);
-    canvas.addEventListener('pointerup', onGlobalPointerUp);
+    function drawMeasurement(type, points, draft) {
+        const closed = type === 'area' && points.length >= 3;
+        const opacity = draft ? 0.6 : 1;
+        const group = draft ? measureDraftGroup : measureGroup;
+        const lineGeo = new THREE.BufferGeometry().setFromPoints(points);
+        const lineMat = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, transparent: true, opacity, depthTest: false });
+        const line = closed ? new THREE.LineLoop(lineGeo, lineMat) : new THREE.Line(lineGeo, lineMat);
+        line.renderOrder = 1001;
+        group.add(line);
+
+        const dots = new THREE.Points(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.PointsMaterial({ color: MEASURE_COLOR, size: 6, sizeAttenuation: false, depthTest: false })
+        );
+        dots.renderOrder = 1001;
+        group.add(dots);
 
-    // Wheel zoom in pano mode
-    canvas.addEventListener('wheel', onPanoWheel, { passive: false });
+        if (type === 'area') {
+            if (!closed) return;
+            const centroid = points.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(points.length);
+            addMeasureLabel(`${polygonArea(points).toFixed(2)} m²`, centroid, true, draft);
+            return;
+        }
+        for (let i = 1; i < points.length; i++) {
+            const mid = points[i - 1].clone().add(points[i]).multiplyScalar(0.5);
+            addMeasureLabel(formatMetres(points[i].distanceTo(points[i - 1])), mid, false, draft);
+        }
+        if (points.length > 2) addMeasureLabel(`Total ${formatMetres(polylineLength(points))}`, points[points.length - 1], true, draft);
+    }
+
+    function addMeasureLabel(text, position, emphasis, draft) {
+        const el = document.createElement('span');
+        el.className = emphasis ? 'measure-label total' : 'measure-label';
+        el.textContent = text;
+        measureLabelLayer.appendChild(el);
+        measureLabels.push({ el, position: position.clone(), draft });
+    }
+
+    // Called every frame in the dollhouse
+    function updateMeasureLabels() {
+        if (measureLabels.length === 0) return;
+        const el = renderer.domElement;
+        const v = new THREE.Vector3();
+        for (const label of measureLabels) {
+            v.copy(label.position).project(camera);
+            const hidden = v.z > 1;
+            label.el.style.display = hidden ? 'none' : '';
+            if (!hidden) {
+                label.el.style.transform = `translate(${(v.x + 1) / 2 * el.clientWidth}px, ${(1 - v.y) / 2 * el.clientHeight}px) translate(-50%, -50%)`;
+            }
+        }
+    }
+
+    function updateMeasureStatus() {
+        if (!measureStatus) return;
+        if (!measuring) {
+            measureStatus.textContent = '';
+        } else if (measureTool === 'area') {
+            measureStatus.textContent = measureDraft.length < 3
+                ? 'Click the corners of the floor area.'
+                : 'Click the first corner, double-click or press Enter to close.';
+        } else {
+            measureStatus.textContent = measureDraft.length === 0
+                ? 'Click a point to start measuring.'
+                : 'Click the next point; double-click or press Enter to finish.';
+        }
+    }
+
+    function exportMeasurements() {
+        downloadJSON('measurements.json', {
+            version: 1,
+            property: property.id,
+            units: 'm',
+            measurements: measurements.map((m) => {
+                const out = { type: m.type, points: m.points.map(roundPosition) };
+                if (m.type === 'area') {
+                    out.area = +polygonArea(m.points).toFixed(3);
+                    out.perimeter = +polylineLength([...m.points, m.points[0]]).toFixed(3);
+                } else {
+                    out.length = +polylineLength(m.points).toFixed(3);
+                }
+                return out;
+            })
+        });
+    }
+
+    // ============================================
+    // HOTSPOT POSITIONS (load / save / export)
+    // ============================================
+
+    async function loadHotspotPositions() {
+        // In edit mode the local working copy wins over the published file
+        if (EDIT_MODE && loadStoredHotspots()) return;
+
+        // 1. Try JSON file
+        try {
+            const res = await fetch(property.hotspots || panoUrl('hotspots.json'));
+            if (res.ok) {
+                const data = await res.json();
+                hotspotPositions = data;
+                return;
+            }
+        } catch (_) { /* ignore */ }
+
+        // 2. Try localStorage
+        if (loadStoredHotspots()) return;
+
+        // 3. Tour definition, then built-in defaults
+        hotspotPositions = { ...(tourHotspots || DEFAULT_HOTSPOTS) };
+    }
+
+    function loadStoredHotspots() {
+        try {
+            const stored = localStorage.getItem(storageKey(STORAGE_HOTSPOTS));
+            if (stored) {
+                hotspotPositions = JSON.parse(stored);
+                return true;
+            }
+        } catch (_) { /* ignore */ }
+        return false;
+    }
+
+    // Links, north offsets, floor tags and info points edited in ?edit=1 are kept locally until exported into tour.json
+    function loadStoredTourEdits() {
+        if (!EDIT_MODE) return;
+        try {
+            const links = localStorage.getItem(storageKey(STORAGE_LINKS));
+            if (links) panoConnections = JSON.parse(links);
+            const offsets = localStorage.getItem(storageKey(STORAGE_OFFSETS));
+            if (offsets) {
+                const data = JSON.parse(offsets);
+                panoNorthOffset = { ...panoNorthOffset, ...data.offsets };
+                calibratedScenes = new Set(data.calibrated || []);
+            }
+            const floorTags = localStorage.getItem(storageKey(STORAGE_FLOORS));
+            if (floorTags) sceneFloors = { ...sceneFloors, ...JSON.parse(floorTags) };
+            const infoPoints = localStorage.getItem(storageKey(STORAGE_INFO_POINTS));
+            if (infoPoints) sceneInfoPoints = JSON.parse(infoPoints);
+        } catch (_) { /* ignore */ }
+    }
+
+    function saveEditorData() {
+        try {
+            localStorage.setItem(storageKey(STORAGE_HOTSPOTS), JSON.stringify(hotspotPositions));
+            localStorage.setItem(storageKey(STORAGE_LINKS), JSON.stringify(panoConnections));
+            localStorage.setItem(storageKey(STORAGE_OFFSETS), JSON.stringify({
+                offsets: panoNorthOffset,
+                calibrated: [...calibratedScenes]
+            }));
+            localStorage.setItem(storageKey(STORAGE_FLOORS), JSON.stringify(sceneFloors));
+            localStorage.setItem(storageKey(STORAGE_INFO_POINTS), JSON.stringify(sceneInfoPoints));
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    function roundPosition(pos) {
+        const r = v => Math.round(v * 1000) / 1000;
+        return { x: r(pos.x), y: r(pos.y), z: r(pos.z) };
+    }
+
+    function exportHotspotPositions() {
+        const out = {};
+        for (const [num, pos] of Object.entries(hotspotPositions)) out[num] = roundPosition(pos);
+        return out;
+    }
+
+    // Current state in the tour.json format read by loadTourDefinition()
+    function buildTourDefinition() {
+        const data = {
+            version: 1,
+            northYaw: northWorldYaw,
+            scenes: panoGraph.map(pano => {
+                const sc = { id: pano.index, file: pano.file, label: sceneName(pano) };
+                if (sceneFloors[pano.index] !== undefined) sc.floor = sceneFloors[pano.index];
+                const pos = hotspotPositions[pano.index];
+                if (pos) sc.position = roundPosition(pos);
+                sc.northOffset = panoNorthOffset[pano.index] || 0;
+                sc.links = [...(panoConnections[pano.index] || [])];
+                if (sceneInfoPoints[pano.index] && sceneInfoPoints[pano.index].length) {
+                    sc.infoPoints = sceneInfoPoints[pano.index].map(info => ({ ...info }));
+                }
+                return sc;
+            })
+        };
+        if (floors.length) {
+            data.floors = floors.map(fl => {
+                const out = { level: fl.level, label: fl.label };
+                if (fl.elevation !== null) out.elevation = fl.elevation;
+                return out;
+            });
+        }
+        if (viewLimits) data.viewLimits = { ...viewLimits };
+        if (guidedTour) data.guidedTour = guidedTour;
+        return data;
+    }
+
+    function downloadJSON(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+
+    // ============================================
+    // HOTSPOT 3D VISUALS (on dollhouse model)
+    // ============================================
+
+    function createHotspotMeshes() {
+        // Remove old hotspots
+        hotspotMeshes.forEach(m => {
+            m.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            scene.remove(m);
+        });
+        hotspotMeshes = [];
+
+        // Build hotspot spheres
+        for (const pano of panoGraph) {
+            const pos = hotspotPositions[pano.index];
+            if (!pos) continue;
+
+            const geo = new THREE.SphereGeometry(0.15, 16, 16);
+            const mat = new THREE.MeshBasicMaterial({
+                color: HOTSPOT_COLOR,
+                transparent: true,
+                opacity: 0.85,
+                depthTest: false
+            });
+            const mesh = new THREE.Mesh(geo, mat);
+            mesh.position.set(pos.x, pos.y, pos.z);
+            mesh.userData.panoIndex = pano.index;
+            mesh.renderOrder = 999;
+            scene.add(mesh);
+            hotspotMeshes.push(mesh);
+
+            // Inner dot
+            const innerGeo = new THREE.SphereGeometry(0.07, 12, 12);
+            const innerMat = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false });
+            const inner = new THREE.Mesh(innerGeo, innerMat);
+            inner.renderOrder = 1000;
+            mesh.add(inner);
+
+            // Pulsing ring
+            const ringGeo = new THREE.RingGeometry(0.18, 0.25, 32);
+            const ringMat = new THREE.MeshBasicMaterial({
+                color: 0xc9a962,
+                transparent: true,
+                opacity: 0.4,
+                side: THREE.DoubleSide,
+                depthTest: false
+            });
+            const ring = new THREE.Mesh(ringGeo, ringMat);
+            ring.renderOrder = 998;
+            mesh.add(ring);
+            mesh.userData.ring = ring;
+            mesh.userData.ringMat = ringMat;
+        }
+        applyHotspotVisibility();
+
+        if (EDIT_MODE) {
+            updateEditorLinkLines();
+            applyEditorHighlight();
+        }
+    }
+
+    // Animate hotspot pulse
+    function updateHotspots(time) {
+        for (const mesh of hotspotMeshes) {
+            // Billboard: face camera
+            mesh.quaternion.copy(camera.quaternion);
+            // Pulse ring
+            const ring = mesh.userData.ring;
+            if (ring) {
+                const s = 1 + 0.3 * Math.sin(time * 0.003 + mesh.userData.panoIndex);
+                ring.scale.set(s, s, s);
+                mesh.userData.ringMat.opacity = 0.2 + 0.2 * Math.sin(time * 0.003 + mesh.userData.panoIndex);
+            }
+        }
+    }
+
+    // ============================================
+    // PANORAMA MODE
+    // ============================================
+
+    const textureLoader = new THREE.TextureLoader();
+    let panoSphereGeometry = null;   // shared by every equirectangular layer
+
+    // Fade transition state
+    let panoFading = false;
+    let panoFadeProgress = 1;
+
+    // Save/restore camera state when switching modes
+    let savedCameraPos = null;
+    let savedControlsTarget = null;
+    let savedCameraFov = 60;
+    let savedCameraNear = 0.1;
+    let savedCameraFar = 1000;
+
+    function enterPanorama(panoNum) {
+        const pano = getPanoByNumber(panoNum);
+        if (!pano) return;
+
+        currentMode = 'panorama';
+        currentPanoIndex = pano.arrayIdx;
+
+        // Save current camera state for restoration
+        savedCameraPos = camera.position.clone();
+        savedControlsTarget = controls.target.clone();
+        savedCameraFov = camera.fov;
+        savedCameraNear = camera.near;
+        savedCameraFar = camera.far;
+
+        // Reset pano zoom
+        panoControls.stop();
+        panoFov = panoControls.clampFov(60);
+        camera.fov = panoFov;
+
+        // Hide dollhouse UI, show pano UI
+        root.querySelector('.tour-ui').classList.add('pano-active');
+        panoOverlay.classList.add('visible');
+        // Hide the dollhouse model, hotspots and connections
+        if (model) model.visible = false;
+        hotspotMeshes.forEach(m => m.visible = false);
+        if (editorLinkLines) editorLinkLines.visible = false;
+        if (measuring) setMeasuring(false);
+        if (measureGroup) measureGroup.visible = false;
+
+        // Disable orbit controls
+        controls.enabled = false;
+
+        // Move camera to origin for clean pano viewing
+        camera.position.set(0, 0, 0);
+        camera.near = 0.1;
+        camera.far = 1100;
+        camera.updateProjectionMatrix();
+
+        // Look the same world direction the orbit camera was facing
+        const forward = savedControlsTarget.clone().sub(savedCameraPos);
+        const flat = Math.hypot(forward.x, forward.z) > 1e-3;
+        const worldYaw = flat ? THREE.MathUtils.radToDeg(Math.atan2(forward.z, forward.x)) : 0;
+        panoYaw = worldYaw - (panoNorthOffset[pano.index] || 0);
+        panoPitch = 0;
+
+        // Load texture
+        loadPanoTexture(pano);
+        updatePanoLabel(pano);
+        renderMinimap();
+        renderA11yProxies();
+        announceScene(pano);
+        pushHistoryState();
+        emitToHost('panoEntered', { pano: pano.index, label: sceneName(pano) });
+    }
+
+    function loadPanoTexture(pano) {
+        const token = ++panoLoadToken;
+        panoTargetFile = pano.file;
+        hidePanoError();
+
+        // Only show progress if it isn't already cached / nearly done
+        const showTimer = setTimeout(() => {
+            if (token === panoLoadToken) showPanoLoading(pano);
+        }, 150);
+
+        acquirePano(pano)
+            .then((resource) => {
+                clearTimeout(showTimer);
+                if (token !== panoLoadToken) return;
+                hidePanoLoading();
+                showPanoLayer(pano, resource);
+                updatePanoCamera();
+                createPanoArrows();
+                createInfoMarkers();
+                prefetchNeighbours(pano, token);
+            })
+            .catch((err) => {
+                clearTimeout(showTimer);
+                if (token !== panoLoadToken) return;
+                hidePanoLoading();
+                showPanoError(pano, err);
+            });
+    }
+
+    // Crossfade: the new layer fades in on top of the old one, which stays opaque underneath
+    function showPanoLayer(pano, resource) {
+        if (panoLayer && panoLayer.file === pano.file) return; // already showing
+        if (panoPrevLayer) releasePanoLayer(panoPrevLayer);
+        panoPrevLayer = panoLayer;
+        if (panoPrevLayer) panoPrevLayer.object.renderOrder = -2;
+
+        panoLayer = createPanoLayer(pano.file, resource);
+        panoLayer.object.renderOrder = -1;
+        panoLayer.setOpacity(0);
+        scene.add(panoLayer.object);
+
+        panoFading = true;
+        panoFadeProgress = 0;
+    }
+
+    // Layers are Groups so their renderOrder orders everything inside them
+    function createPanoLayer(file, resource) {
+        if (resource instanceof TiledPanorama) {
+            resource.group.rotation.set(0, 0, 0); // may have been turned by a walk transition
+            return { file, object: resource.group, tiled: resource, setOpacity: o => resource.setOpacity(o) };
+        }
+
+        if (!panoSphereGeometry) {
+            panoSphereGeometry = new THREE.SphereGeometry(500, 60, 40);
+            panoSphereGeometry.scale(-1, 1, 1); // inside-out
+        }
+        const mat = new THREE.MeshBasicMaterial({
+            map: resource,
+            transparent: true,
+            opacity: 0,
+            depthTest: false,
+            depthWrite: false
+        });
+        const group = new THREE.Group();
+        group.add(new THREE.Mesh(panoSphereGeometry, mat));
+        return { file, object: group, tiled: null, setOpacity: o => { mat.opacity = o; } };
+    }
+
+    // The texture / tiles stay in panoCache; only the per-layer material goes
+    function releasePanoLayer(layer) {
+        scene.remove(layer.object);
+        if (layer.tiled) layer.tiled.releaseDetail();
+        else layer.object.children[0].material.dispose();
+    }
+
+    // ============================================
+    // PANORAMA LOADING (progress, retry, errors)
+    // ============================================
+
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Full equirectangular image, retried with backoff on network / server errors
+    async function loadPanoImage(pano) {
+        const url = panoUrl(panoImageFile(pano));
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fetchTexture(url, fraction => reportPanoProgress(pano, fraction));
+            } catch (err) {
+                // A missing file won't appear by retrying
+                if (err.status === 404 || attempt >= PANO_RETRY_DELAYS.length) throw err;
+                reportPanoRetry(pano, attempt + 1);
+                await delay(PANO_RETRY_DELAYS[attempt]);
+            }
+        }
+    }
+
+    // The downsized web variant on phones, or when the original exceeds the GPU's texture limit
+    function panoImageFile(pano) {
+        if (!pano.web) return pano.file;
+        const tooLarge = pano.width > renderer.capabilities.maxTextureSize;
+        return LOW_MEMORY_DEVICE || tooLarge ? pano.web : pano.file;
+    }
+
+    // Like textureLoader.loadAsync, but streams the download so progress can be shown
+    async function fetchTexture(url, onProgress) {
+        const res = await fetch(url);
+        if (!res.ok) {
+            const err = new Error(`${url.split('/').pop()} returned HTTP ${res.status}`);
+            err.status = res.status;
+            throw err;
+        }
+
+        const total = Number(res.headers.get('Content-Length')) || 0;
+        let blob;
+        if (res.body && total) {
+            const reader = res.body.getReader();
+            const chunks = [];
+            let loaded = 0;
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                loaded += value.length;
+                onProgress(Math.min(1, loaded / total));
+            }
+            blob = new Blob(chunks, { type: res.headers.get('Content-Type') || 'image/jpeg' });
+        } else {
+            onProgress(null);
+            blob = await res.blob();
+        }
+
+        const objectUrl = URL.createObjectURL(blob);
+        try {
+            return await textureLoader.loadAsync(objectUrl);
+        } finally {
+            URL.revokeObjectURL(objectUrl);
+        }
+    }
+
+    // fraction: 0..1, or null when the size is unknown. Prefetches stay silent.
+    function reportPanoProgress(pano, fraction) {
+        if (pano.file !== panoTargetFile) return;
+        const pct = fraction === null ? null : Math.round(fraction * 100);
+        if (panoProgressBar) panoProgressBar.style.width = (pct ?? 50) + '%';
+        if (panoLoadingText) panoLoadingText.textContent = pct === null ? `Loading ${sceneName(pano)}...` : `Loading ${sceneName(pano)}... ${pct}%`;
+        emitToHost('loadProgress', { pano: pano.index, percent: pct });
+    }
+
+    function reportPanoRetry(pano, attempt) {
+        if (pano.file !== panoTargetFile || !panoLoadingText) return;
+        panoLoadingText.textContent = `Connection problem - retrying (${attempt}/${PANO_RETRY_DELAYS.length})...`;
+    }
+
+    function showPanoLoading(pano) {
+        if (!panoLoading) return;
+        panoProgressBar.style.width = '0%';
+        panoLoadingText.textContent = `Loading ${sceneName(pano)}...`;
+        panoLoading.classList.add('visible');
+    }
+
+    function hidePanoLoading() {
+        if (panoLoading) panoLoading.classList.remove('visible');
+    }
+
+    function showPanoError(pano, err) {
+        console.error(`[tour] Panorama ${pano.file} failed to load:`, err);
+        emitToHost('error', { message: `Panorama ${pano.file} failed to load: ${err.message}`, code: 'panoLoad', pano: pano.index });
+        if (!panoError) return;
+        panoErrorMessage.textContent = `We couldn't load the 360° view of ${sceneName(pano)}.`;
+        panoError.dataset.pano = pano.index;
+        panoError.classList.add('visible');
+    }
+
+    function hidePanoError() {
+        if (panoError) panoError.classList.remove('visible');
+    }
+
+    // ============================================
+    // DIAGNOSTICS (?debug=1 or ?edit=1)
+    // ============================================
+
+    // Collects data problems that otherwise only show up as missing hotspots or arrows
+    async function runDiagnostics() {
+        const issues = [];
+        const add = (title, items) => { if (items.length) issues.push({ title, items }); };
+
+        if (manifestError) add('manifest.json could not be used', [manifestError]);
+        add('tour.json problems (built-in tour data used instead)', tourDefinitionErrors);
+        if (panoGraph.length === 0) add('No panoramas', ['Every hotspot is disabled until a manifest or tour.json lists images.']);
+
+        // Manifest entries whose image isn't on the server
+        const missing = await Promise.all(panoGraph.map(async (pano) => {
+            try {
+                const res = await fetch(panoUrl(pano.file), { method: 'HEAD' });
+                return res.ok ? null : `${pano.file} (HTTP ${res.status})`;
+            } catch (err) {
+                return `${pano.file} (${err.message})`;
+            }
+        }));
+        add('Manifest entries with no image file', missing.filter(Boolean));
+
+        add('Images without a trailing scene number', panoGraph.filter(p => !Number.isFinite(p.index)).map(p => p.file));
+        const seen = new Map();
+        const dupes = [];
+        for (const pano of panoGraph) {
+            if (seen.has(pano.index)) dupes.push(`${seen.get(pano.index)} and ${pano.file} are both scene ${pano.index}`);
+            else seen.set(pano.index, pano.file);
+        }
+        add('Duplicate scene numbers', dupes);
+
+        add('Hotspots with no panorama', Object.keys(hotspotPositions)
+            .filter(num => !getPanoByNumber(Number(num)))
+            .map(num => `hotspot ${num}`));
+        add('Panoramas with no hotspot (unreachable from the dollhouse)', panoGraph
+            .filter(p => !hotspotPositions[p.index])
+            .map(p => `${p.index}. ${p.file}`));
+
+        const badLinks = [];
+        for (const [from, targets] of Object.entries(panoConnections)) {
+            if (!getPanoByNumber(Number(from))) badLinks.push(`links from unknown scene ${from}`);
+            for (const to of targets) {
+                if (!getPanoByNumber(to)) badLinks.push(`${from} -> ${to} (no such scene)`);
+            }
+        }
+        add('Connections pointing to unknown scenes', badLinks);
+
+        // Near-identical names usually mean a typo in a file name (e.g. "kichen" / "kitchen")
+        const names = panoGraph.map(p => ({ file: p.file, stem: friendlyName(p.file).toLowerCase() }));
+        const typos = [];
+        for (let i = 0; i < names.length; i++) {
+            for (let j = i + 1; j < names.length; j++) {
+                const d = editDistance(names[i].stem, names[j].stem);
+                if (d > 0 && d <= 2) typos.push(`${names[i].file} / ${names[j].file}`);
+            }
+        }
+        add('Possibly misspelled file names', typos);
+
+        return issues;
+    }
+
+    function editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let prev = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const tmp = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+                prev = tmp;
+            }
+        }
+        return row[b.length];
+    }
+
+    async function showDiagnostics() {
+        // Guests only hear about it when the 360° views are gone altogether
+        if (panoGraph.length === 0 && tourNotice) {
+            tourNotice.textContent = '360° views are unavailable right now.';
+            tourNotice.classList.add('visible');
+        }
+
+        // The checks fetch every panorama, so they only run for authors
+        if (!DEBUG_MODE || !diagnosticsPanel) return;
+        const issues = await runDiagnostics();
+        for (const issue of issues) console.warn(`[tour] ${issue.title}:\n  - ${issue.items.join('\n  - ')}`);
+        diagnosticsList.innerHTML = '';
+        if (issues.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = 'No problems found.';
+            diagnosticsList.appendChild(li);
+        }
+        for (const issue of issues) {
+            const li = document.createElement('li');
+            const title = document.createElement('strong');
+            title.textContent = issue.title;
+            const items = document.createElement('ul');
+            for (const text of issue.items) {
+                const item = document.createElement('li');
+                item.textContent = text;
+                items.appendChild(item);
+            }
+            li.append(title, items);
+            diagnosticsList.appendChild(li);
+        }
+        diagnosticsPanel.classList.add('visible');
+    }
+
+    // ============================================
+    // PANORAMA CACHE (prefetch + memory budget)
+    // ============================================
+
+    const panoCache = new Map();   // file -> { promise, resource, bytes, lastUsed }
+    let panoTargetFile = null;     // pano being loaded for display (never evicted)
+
+    function acquirePano(pano) {
+        let entry = panoCache.get(pano.file);
+        if (!entry) {
+            entry = { promise: null, resource: null, bytes: 0, lastUsed: 0 };
+            entry.promise = loadPanoResource(pano).then(
+                (resource) => {
+                    // The cache was emptied while this loaded (lost context, dispose)
+                    if (panoCache.get(pano.file) !== entry) {
+                        resource.dispose();
+                        throw new Error(`${pano.file} is no longer needed`);
+                    }
+                    entry.resource = resource;
+                    entry.bytes = estimatePanoBytes(resource);
+                    trimPanoCache();
+                    return resource;
+                },
+                (err) => {
+                    panoCache.delete(pano.file);
+                    throw err;
+                }
+            );
+            panoCache.set(pano.file, entry);
+        }
+        entry.lastUsed = performance.now();
+        return entry.promise;
+    }
+
+    // Tile pyramid when the manifest has one, else the full equirectangular image
+    async function loadPanoResource(pano) {
+        if (pano.tiles) {
+            let tiled = null;
+            try {
+                const baseUrl = panoUrl(pano.tiles + '/');
+                const res = await fetch(baseUrl + 'tiles.json');
+                if (!res.ok) throw new Error(`tiles.json returned ${res.status}`);
+                tiled = new TiledPanorama(baseUrl, await res.json(), { loader: textureLoader });
+                await tiled.loadBase(fraction => reportPanoProgress(pano, fraction));
+                return tiled;
+            } catch (err) {
+                // Tiles already loaded or still in flight would sit outside the cache budget
+                if (tiled) tiled.dispose();
+                console.warn(`[tour] Tiles for ${pano.file} unavailable (${err.message}); loading full image.`);
+            }
+        }
+
+        const texture = await loadPanoImage(pano);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        // Upload now so switching to a prefetched pano doesn't stall on the first frame
+        renderer.initTexture(texture);
+        return texture;
+    }
+
+    function estimatePanoBytes(resource) {
+        if (resource instanceof TiledPanorama) return resource.textureBytes;
+        const img = resource.image;
+        return img ? img.width * img.height * 4 * 1.33 : 0; // RGBA + mipmaps
+    }
+
+    // Tiled panos grow and shrink as detail streams in and is evicted, so measure them again
+    function panoCacheBytes() {
+        let total = 0;
+        for (const entry of panoCache.values()) {
+            if (entry.resource) entry.bytes = estimatePanoBytes(entry.resource);
+            total += entry.bytes;
+        }
+        return total;
+    }
+
+    // Evict least recently used panos (never the ones on screen) until under budget
+    function trimPanoCache() {
+        const budget = PANO_CACHE_BUDGET_MB * 1024 * 1024;
+        const inUse = new Set([panoTargetFile, panoLayer && panoLayer.file, panoPrevLayer && panoPrevLayer.file]);
+        const candidates = [...panoCache.entries()]
+            .filter(([file, entry]) => entry.resource && !inUse.has(file))
+            .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+        let total = panoCacheBytes();
+        for (const [file, entry] of candidates) {
+            if (total <= budget) break;
+            entry.resource.dispose();
+            panoCache.delete(file);
+            total -= entry.bytes;
+        }
+    }
+
+    // Warm the cache with the scenes linked from this one, one at a time, while they fit
+    async function prefetchNeighbours(pano, token) {
+        const budget = PANO_CACHE_BUDGET_MB * 1024 * 1024;
+        const current = panoCache.get(pano.file);
+        const guess = current ? current.bytes : 0;
+
+        for (const num of panoConnections[pano.index] || []) {
+            const next = getPanoByNumber(num);
+            if (!next || panoCache.has(next.file)) continue;
+            if (panoCacheBytes() + guess > budget) break;
+            try {
+                await acquirePano(next);
+            } catch (_) { /* prefetch is best-effort */ }
+            if (token !== panoLoadToken) return;
+        }
+    }
+
+    function exitPanorama() {
+        const fromPano = panoGraph[currentPanoIndex];
+        currentMode = 'dollhouse';
+
+        // Hide the pano layers and drop any load still in flight
+        panoLoadToken++;
+        panoTargetFile = null;
+        hidePanoLoading();
+        hidePanoError();
+        panoFading = false;
+        if (panoPrevLayer) releasePanoLayer(panoPrevLayer);
+        if (panoLayer) releasePanoLayer(panoLayer);
+        panoPrevLayer = null;
+        panoLayer = null;
+
+        // Remove arrows and info points
+        removePanoArrows();
+        removeInfoMarkers();
+        closeInfoCard();
+        setPlacingInfo(false);
+
+        // Restore camera state
+        if (savedCameraPos) {
+            camera.position.copy(savedCameraPos);
+            controls.target.copy(savedControlsTarget);
+            camera.fov = savedCameraFov;
+            camera.near = savedCameraNear;
+            camera.far = savedCameraFar;
+            camera.updateProjectionMatrix();
+        }
+
+        // Show dollhouse UI
+        root.querySelector('.tour-ui').classList.remove('pano-active');
+        panoOverlay.classList.remove('visible');
+
+        // Show the dollhouse model, hotspots and connections
+        if (model) model.visible = true;
+        applyHotspotVisibility();
+        if (editorLinkLines) editorLinkLines.visible = true;
+        if (measureGroup) measureGroup.visible = true;
+        setCalibrating(false);
+
+        // Re-enable orbit controls
+        controls.enabled = true;
+        controls.update();
+
+        // Keep the cache within budget now that nothing is on screen
+        trimPanoCache();
+
+        announce('Dollhouse view');
+        pushHistoryState();
+        emitToHost('panoExited', { from: fromPano ? fromPano.index : null });
+    }
+
+    // view: optional { yaw, pitch, fov } to land with; by default the world heading
+    // and pitch carry over from the previous pano and the zoom resets
+    function navigatePano(pano, view = {}) {
+        if (!pano) return;
+        const fromPano = panoGraph[currentPanoIndex];
+        const heading = currentWorldHeading();
+        currentPanoIndex = pano.arrayIdx;
+        panoControls.stop();
+        panoYaw = view.yaw ?? heading - (panoNorthOffset[pano.index] || 0);
+        panoPitch = view.pitch ?? panoPitch;
+        panoFov = panoControls.clampFov(view.fov ?? 60);
+        camera.fov = panoFov;
+        camera.updateProjectionMatrix();
+        closeInfoCard();
+        loadPanoTexture(pano);
+        updatePanoLabel(pano);
+        renderMinimap();
+        announceScene(pano);
+        pushHistoryState();
+        emitToHost('panoChanged', { pano: pano.index, label: sceneName(pano), from: fromPano ? fromPano.index : null });
+    }
+
+    function updatePanoLabel(pano) {
+        if (panoLabel) {
+            const name = sceneName(pano);
+            panoLabel.textContent = name.charAt(0).toUpperCase() + name.slice(1) + ' (' + pano.index + '/' + panoGraph.length + ')';
+        }
+    }
+
+    // World yaw the pano camera is facing (camera convention, degrees)
+    function currentWorldHeading() {
+        const pano = panoGraph[currentPanoIndex];
+        return panoYaw + (pano ? panoNorthOffset[pano.index] || 0 : 0);
+    }
+
+    // Compass bearing: 0 = north (tour.json "northYaw"), clockwise seen from above
+    function updateCompass() {
+        if (!panoCompassRose) return;
+        const bearing = ((currentWorldHeading() - northWorldYaw) % 360 + 360) % 360;
+        const rounded = Math.round(bearing);
+        if (rounded === lastCompassBearing) return;
+        lastCompassBearing = rounded;
+        panoCompassRose.style.transform = `rotate(${-bearing}deg)`;
+        const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        panoCompassHeading.textContent = points[Math.round(bearing / 45) % 8];
+        panoCompass.title = `Facing ${points[Math.round(bearing / 45) % 8]} (${rounded % 360}°)`;
+    }
+
+    function updatePanoCamera() {
+        const phi = THREE.MathUtils.degToRad(90 - panoPitch);
+        const theta = THREE.MathUtils.degToRad(panoYaw);
+
+        const target = new THREE.Vector3(
+            Math.sin(phi) * Math.cos(theta),
+            Math.cos(phi),
+            Math.sin(phi) * Math.sin(theta)
+        );
+
+        camera.lookAt(target);
+        updateCompass();
+        updateMinimapCone();
+    }
+
+    function setPanoView({ yaw, pitch, fov }) {
+        panoYaw = yaw;
+        panoPitch = pitch;
+        if (fov !== panoFov) {
+            panoFov = fov;
+            camera.fov = fov;
+            camera.updateProjectionMatrix();
+        }
+        updatePanoCamera();
+    }
+
+    // ============================================
+    // PANORAMA MINIMAP (top-down plan of the scenes)
+    // ============================================
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    let minimapCone = null;   // { group, path, length } for the current scene's view cone
+
+    function svgElement(tag, attrs = {}) {
+        const el = document.createElementNS(SVG_NS, tag);
+        for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+        return el;
+    }
+
+    // Plan view seen from above like the Top Down spot: world +X to the right, +Z down.
+    // Rebuilt on every scene change since hotspots may have moved in the editor.
+    function renderMinimap() {
+        if (!panoMinimap) return;
+        const current = panoGraph[currentPanoIndex];
+        const floor = current ? sceneFloor(current.index) : null;
+        const scenes = panoGraph.filter(p => hotspotPositions[p.index] && sceneFloor(p.index) === floor);
+        minimapCone = null;
+        if (!current || !hotspotPositions[current.index] || scenes.length < 2) {
+            panoMinimap.classList.remove('visible');
+            return;
+        }
+
+        // The model's footprint, grown to include every hotspot
+        const bounds = new THREE.Box2();
+        if (modelBoundingBox) {
+            bounds.expandByPoint(new THREE.Vector2(modelBoundingBox.min.x, modelBoundingBox.min.z));
+            bounds.expandByPoint(new THREE.Vector2(modelBoundingBox.max.x, modelBoundingBox.max.z));
+        }
+        for (const pano of scenes) {
+            const pos = hotspotPositions[pano.index];
+            bounds.expandByPoint(new THREE.Vector2(pos.x, pos.z));
+        }
+        const size = bounds.getSize(new THREE.Vector2());
+        const span = Math.max(size.x, size.y, 1);
+        const pad = span * 0.08;
+        panoMinimapSvg.setAttribute('viewBox',
+            `${bounds.min.x - pad} ${bounds.min.y - pad} ${size.x + pad * 2} ${size.y + pad * 2}`);
+        panoMinimapSvg.replaceChildren();
+
+        if (modelBoundingBox) {
+            panoMinimapSvg.appendChild(svgElement('rect', {
+                class: 'minimap-footprint',
+                x: modelBoundingBox.min.x,
+                y: modelBoundingBox.min.z,
+                width: modelBoundingBox.max.x - modelBoundingBox.min.x,
+                height: modelBoundingBox.max.z - modelBoundingBox.min.z
+            }));
+        }
+
+        // Walkable links, each drawn once
+        for (const [from, targets] of Object.entries(panoConnections)) {
+            const a = hotspotPositions[from];
+            for (const to of targets) {
+                const b = hotspotPositions[to];
+                if (!a || !b || Number(from) > to) continue;
+                if (sceneFloor(Number(from)) !== floor || sceneFloor(to) !== floor) continue;
+                panoMinimapSvg.appendChild(svgElement('line', { class: 'minimap-link', x1: a.x, y1: a.z, x2: b.x, y2: b.z }));
+            }
+        }
+
+        const here = hotspotPositions[current.index];
+        const group = svgElement('g', { class: 'minimap-cone' });
+        const path = svgElement('path');
+        group.appendChild(path);
+        panoMinimapSvg.appendChild(group);
+        minimapCone = { group, path, x: here.x, z: here.z, length: span * 0.18 };
+
+        for (const pano of scenes) {
+            const pos = hotspotPositions[pano.index];
+            const isCurrent = pano === current;
+            const dot = svgElement('circle', {
+                class: isCurrent ? 'minimap-dot current' : 'minimap-dot',
+                cx: pos.x,
+                cy: pos.z,
+                r: span * (isCurrent ? 0.035 : 0.028)
+            });
+            const title = svgElement('title');
+            title.textContent = sceneName(pano);
+            dot.appendChild(title);
+            if (!isCurrent) dot.addEventListener('click', () => walkToPano(pano));
+            panoMinimapSvg.appendChild(dot);
+        }
+
+        updateMinimapCone();
+        panoMinimap.classList.add('visible');
+    }
+
+    // Wedge as wide as the horizontal FOV, pointing along the world heading
+    function updateMinimapCone() {
+        if (!minimapCone) return;
+        const halfFov = Math.atan(Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * camera.aspect);
+        const { length } = minimapCone;
+        const x = (length * Math.cos(halfFov)).toFixed(3);
+        const y = (length * Math.sin(halfFov)).toFixed(3);
+        minimapCone.path.setAttribute('d', `M0 0 L${x} ${-y} A${length} ${length} 0 0 1 ${x} ${y} Z`);
+        minimapCone.group.setAttribute('transform',
+            `translate(${minimapCone.x} ${minimapCone.z}) rotate(${currentWorldHeading().toFixed(1)})`);
+    }
+
+    // ============================================
+    // PANORAMA ARROWS - Floor circles (VR-style navigation)
+    // ============================================
+
+    function createPanoArrows() {
+        removePanoArrows();
+
+        const pano = panoGraph[currentPanoIndex];
+        if (!pano) return;
+
+        const currentPos = hotspotPositions[pano.index];
+        if (!currentPos) return;
+
+        // Get connections for this pano from the graph
+        const connections = panoConnections[pano.index] || [];
+
+        for (const targetIndex of connections) {
+            const targetPano = getPanoByNumber(targetIndex);
+            const targetPos = hotspotPositions[targetIndex];
+            if (!targetPano || !targetPos) continue;
+
+            // Calculate direction from current to target, adjusted for pano orientation
+            const worldYaw = linkWorldYaw(currentPos, targetPos);
+            const offset = panoNorthOffset[pano.index] || 0;
+            const yawDeg = worldYaw - offset;
+
+            const obj = createFloorCircle(
+                sceneName(targetPano),
+                yawDeg,
+                true,
+                () => walkToPano(targetPano)
+            );
+            obj.userData.worldYaw = worldYaw;
+            panoArrows.push(obj);
+        }
+
+        if (calibrating) updateCalibrateReadout();
+    }
+
+    // World yaw (degrees, camera convention) from one hotspot position to another
+    function linkWorldYaw(fromPos, toPos) {
+        return THREE.MathUtils.radToDeg(Math.atan2(toPos.z - fromPos.z, toPos.x - fromPos.x));
+    }
+
+    function friendlyName(file) {
+        return file.replace(/[-_]\d+\.jpe?g$/i, '').replace(/[-_]/g, ' ');
+    }
+
+    function createFloorCircle(label, yawDeg, isNext, onClick) {
+        const group = new THREE.Group();
+        group.userData.onClick = onClick;
+        group.userData.isArrow = true;
+        group.userData.label = label;
+
+        // Position on the floor, matching camera convention (yaw=0 is +X)
+        placeFloorCircle(group, yawDeg);
+
+        // Flat circle lying on the floor
+        // Outer glow ring
+        const glowGeo = new THREE.RingGeometry(2.8, 3.6, 48);
+        const glowMat = new THREE.MeshBasicMaterial({
+            color: 0xc9a962,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide,
+            depthTest: false
+        });
+        const glow = new THREE.Mesh(glowGeo, glowMat);
+        glow.rotation.x = -Math.PI / 2;
+        glow.renderOrder = 97;
+        group.add(glow);
+        group.userData.glowMat = glowMat;
+
+        // Main ring
+        const ringGeo = new THREE.RingGeometry(2.0, 2.8, 48);
+        const ringMat = new THREE.MeshBasicMaterial({
+            color: 0xc9a962,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+            depthTest: false
+        });
+        const ring = new THREE.Mesh(ringGeo, ringMat);
+        ring.rotation.x = -Math.PI / 2;
+        ring.renderOrder = 98;
+        group.add(ring);
+
+        // Inner filled circle
+        const innerGeo = new THREE.CircleGeometry(2.0, 48);
+        const innerMat = new THREE.MeshBasicMaterial({
+            color: 0x1a3a4a,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide,
+            depthTest: false
+        });
+        const inner = new THREE.Mesh(innerGeo, innerMat);
+        inner.rotation.x = -Math.PI / 2;
+        inner.renderOrder = 99;
+        group.add(inner);
+
+        // Chevron arrow pointing outward (away from center = toward target)
+        const chevronShape = new THREE.Shape();
+        chevronShape.moveTo(-0.6, 1.0);
+        chevronShape.lineTo(0.6, 0);
+        chevronShape.lineTo(-0.6, -1.0);
+        chevronShape.lineTo(-0.2, 0);
+        chevronShape.closePath();
+        const chevGeo = new THREE.ShapeGeometry(chevronShape);
+        const chevMat = new THREE.MeshBasicMaterial({
+            color: 0xc9a962,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide,
+            depthTest: false
+        });
+        const chevron = new THREE.Mesh(chevGeo, chevMat);
+        chevron.rotation.x = -Math.PI / 2;
+        chevron.position.y = 0.05;
+        chevron.renderOrder = 100;
+        group.add(chevron);
+        group.userData.chevron = chevron;
+        placeFloorCircle(group, yawDeg);
+
+        // Label floating above the circle
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 80;
+        const ctx = canvas.getContext('2d');
+        // Background pill
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.beginPath();
+        const pw = ctx.measureText(label).width || 200;
+        ctx.arc(40, 40, 36, Math.PI / 2, Math.PI * 1.5);
+        ctx.arc(472, 40, 36, -Math.PI / 2, Math.PI / 2);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '500 30px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, 256, 42);
+
+        const labelTex = new THREE.CanvasTexture(canvas);
+        const labelMat = new THREE.SpriteMaterial({ map: labelTex, transparent: true, depthTest: false });
+        const labelSprite = new THREE.Sprite(labelMat);
+        labelSprite.position.set(0, 2.5, 0);
+        labelSprite.scale.set(7, 1.1, 1);
+        labelSprite.renderOrder = 101;
+        group.add(labelSprite);
+
+        scene.add(group);
+        return group;
+    }
+
+    function placeFloorCircle(group, yawDeg) {
+        const theta = THREE.MathUtils.degToRad(yawDeg);
+        const r = 25;
+        group.position.set(
+            r * Math.cos(theta),
+            -12,
+            r * Math.sin(theta)
+        );
+        // Rotate the chevron so it points outward from center toward target
+        if (group.userData.chevron) {
+            group.userData.chevron.rotation.z = -(Math.PI / 2 + theta);
+        }
+    }
+
+    // Animate floor circles (pulse glow)
+    function updatePanoArrowPulse(time) {
+        for (const group of panoArrows) {
+            if (group.userData.glowMat) {
+                const pulse = 0.2 + 0.15 * Math.sin(time * 0.004);
+                group.userData.glowMat.opacity = pulse;
+            }
+        }
+    }
+
+    function removePanoArrows() {
+        panoArrows.forEach(obj => {
+            obj.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    if (child.material.map) child.material.map.dispose();
+                    child.material.dispose();
+                }
+            });
+            scene.remove(obj);
+        });
+        panoArrows = [];
+    }
+
+    function repositionPanoArrows() {
+        const pano = panoGraph[currentPanoIndex];
+        if (!pano) return;
+
+        // Arrows stay at fixed world positions relative to initial orientation.
+        // As the camera rotates, they naturally appear to move in/out of view.
+        // Only a north offset change (calibration) moves them.
+        const offset = panoNorthOffset[pano.index] || 0;
+        for (const group of panoArrows) {
+            placeFloorCircle(group, group.userData.worldYaw - offset);
+        }
+    }
+
+    // ============================================
+    // INFO POINTS (annotations placed at a yaw / pitch in a scene)
+    // ============================================
+    // yaw / pitch are in the panorama image's own frame (the same as panoYaw),
+    // so they stay put when a scene's north offset is recalibrated.
+
+    const INFO_POINT_RADIUS = 30;
+
+    let infoMarkers = [];         // sprites in the current pano
+    let placingInfo = false;      // edit mode: next pano click adds an info point
+    let infoIconTexture = null;   // shared by every marker
+
+    function createInfoMarkers() {
+        removeInfoMarkers();
+        const pano = panoGraph[currentPanoIndex];
+        if (!pano) return;
+        (sceneInfoPoints[pano.index] || []).forEach((info, i) => {
+            const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: getInfoIconTexture(),
+                transparent: true,
+                depthTest: false
+            }));
+            sprite.position.copy(panoDirection(info.yaw, info.pitch).multiplyScalar(INFO_POINT_RADIUS));
+            sprite.scale.set(2.4, 2.4, 1);
+            sprite.renderOrder = 101;
+            sprite.userData.onClick = () => openInfoCard(pano, i);
+            sprite.userData.title = info.title;
+            scene.add(sprite);
+            infoMarkers.push(sprite);
+        });
+        renderA11yProxies();
+    }
+
+    function removeInfoMarkers() {
+        infoMarkers.forEach((sprite) => {
+            sprite.material.dispose();
+            scene.remove(sprite);
+        });
+        infoMarkers = [];
+    }
+
+    // Unit vector for a pano yaw / pitch, as used by updatePanoCamera()
+    function panoDirection(yawDeg, pitchDeg) {
+        const phi = THREE.MathUtils.degToRad(90 - pitchDeg);
+        const theta = THREE.MathUtils.degToRad(yawDeg);
+        return new THREE.Vector3(Math.sin(phi) * Math.cos(theta), Math.cos(phi), Math.sin(phi) * Math.sin(theta));
+    }
+
+    // Round "i" badge, drawn once
+    function getInfoIconTexture() {
+        if (infoIconTexture) return infoIconTexture;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(0,0,0,0.55)';
+        ctx.beginPath();
+        ctx.arc(64, 64, 60, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = '#c9a962';
+        ctx.beginPath();
+        ctx.arc(64, 64, 52, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'italic 600 64px Georgia, serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('i', 64, 68);
+        infoIconTexture = new THREE.CanvasTexture(canvas);
+        infoIconTexture.colorSpace = THREE.SRGBColorSpace;
+        return infoIconTexture;
+    }
+
+    // Absolute http(s) URL for an info point link, or null (javascript: and the like stay out)
+    function safeLink(url) {
+        if (!url) return null;
+        try {
+            const parsed = new URL(url, document.baseURI);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    // **bold**, *italic* and [label](url) inside a paragraph, built as DOM nodes (never innerHTML)
+    const RICH_TEXT_PATTERN = /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)|\n/g;
+
+    function richTextNodes(text) {
+        const nodes = [];
+        let last = 0;
+        for (const match of text.matchAll(RICH_TEXT_PATTERN)) {
+            if (match.index > last) nodes.push(document.createTextNode(text.slice(last, match.index)));
+            last = match.index + match[0].length;
+            const [token, bold, italic, label, url] = match;
+            if (token === '\n') {
+                nodes.push(document.createElement('br'));
+            } else if (bold || italic) {
+                const el = document.createElement(bold ? 'strong' : 'em');
+                el.textContent = bold || italic;
+                nodes.push(el);
+            } else {
+                // An unsafe URL keeps its label as plain text
+                const href = safeLink(url);
+                if (!href) {
+                    nodes.push(document.createTextNode(label));
+                    continue;
+                }
+                const a = document.createElement('a');
+                a.href = href;
+                a.target = '_blank';
+                a.rel = 'noopener';
+                a.textContent = label;
+                nodes.push(a);
+            }
+        }
+        if (last < text.length) nodes.push(document.createTextNode(text.slice(last)));
+        return nodes;
+    }
+
+    function openInfoCard(pano, i) {
+        const info = (sceneInfoPoints[pano.index] || [])[i];
+        if (!info || !infoCard) return;
+
+        infoCardTitle.textContent = info.title;
+        infoCard.setAttribute('aria-label', info.title);
+        // Blank lines separate paragraphs, a single newline breaks the line
+        infoCardText.replaceChildren(...(info.text || '').split(/\n\s*\n/).filter(Boolean).map((para) => {
+            const p = document.createElement('p');
+            p.append(...richTextNodes(para.trim()));
+            return p;
+        }));
+        infoCardImage.hidden = !info.image;
+        if (info.image) {
+            infoCardImage.src = panoUrl(info.image);
+            infoCardImage.alt = info.title;
+        } else {
+            infoCardImage.removeAttribute('src');
+        }
+        const link = safeLink(info.link);
+        infoCardLink.hidden = !link;
+        if (link) {
+            infoCardLink.href = link;
+            infoCardLink.textContent = info.linkLabel || 'Learn more';
+        } else {
+            infoCardLink.removeAttribute('href');
+        }
+        infoCard.dataset.pano = pano.index;
+        infoCard.dataset.index = i;
+        infoCard.classList.add('visible');
+        emitToHost('infoPointOpened', { pano: pano.index, title: info.title });
+    }
+
+    function closeInfoCard() {
+        if (infoCard) infoCard.classList.remove('visible');
+    }
+
+    // --- editing (?edit=1) ---
+
+    function setPlacingInfo(on) {
+        placingInfo = on;
+        const btn = ref('infoPlace');
+        if (btn) btn.classList.toggle('active', on);
+        if (on && calibrating) setCalibrating(false);
+    }
+
+    function placeInfoPoint() {
+        setPlacingInfo(false);
+        const pano = panoGraph[currentPanoIndex];
+        if (!pano) return;
+        const dir = raycaster.ray.direction;
+        const title = window.prompt('Info point title');
+        if (!title) return;
+        const info = {
+            yaw: Math.round(THREE.MathUtils.radToDeg(Math.atan2(dir.z, dir.x)) * 10) / 10,
+            pitch: Math.round(THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1))) * 10) / 10,
+            title
+        };
+        const list = sceneInfoPoints[pano.index] || (sceneInfoPoints[pano.index] = []);
+        list.push(info);
+        saveEditorData();
+        createInfoMarkers();
+        openInfoCard(pano, list.length - 1);
+    }
+
+    // Prompts for each field, keeping the current value as the default
+    function editInfoPoint() {
+        const list = sceneInfoPoints[infoCard.dataset.pano];
+        const i = Number(infoCard.dataset.index);
+        const info = list && list[i];
+        if (!info) return;
+        const fields = [
+            ['title', 'Title'],
+            ['text', 'Text (\\n\\n between paragraphs; **bold**, *italic*, [label](https://...))'],
+            ['image', 'Photo file in the pano folder (optional)'],
+            ['link', 'Link URL (optional)'],
+            ['linkLabel', 'Link text (optional)']
+        ];
+        for (const [key, question] of fields) {
+            const current = key === 'text' ? (info.text || '').replace(/\n/g, '\\n') : info[key] || '';
+            const answer = window.prompt(question, current);
+            if (answer === null) return; // cancelled: keep what was there
+            const value = key === 'text' ? answer.replace(/\\n/g, '\n') : answer.trim();
+            if (value) info[key] = value;
+            else if (key !== 'title') delete info[key];
+        }
+        saveEditorData();
+        openInfoCard(getPanoByNumber(Number(infoCard.dataset.pano)), i);
+    }
+
+    function deleteInfoPoint() {
+        const list = sceneInfoPoints[infoCard.dataset.pano];
+        const i = Number(infoCard.dataset.index);
+        if (!list || !list[i] || !window.confirm(`Delete info point "${list[i].title}"?`)) return;
+        list.splice(i, 1);
+        saveEditorData();
+        closeInfoCard();
+        createInfoMarkers();
+    }
+
+    function setupInfoPoints() {
+        if (!infoCard) return;
+        ref('infoCardClose').addEventListener('click', closeInfoCard);
+        if (!EDIT_MODE) return;
+        infoCard.classList.add('editable');
+        ref('infoCardEdit').addEventListener('click', editInfoPoint);
+        ref('infoCardDelete').addEventListener('click', deleteInfoPoint);
+        ref('infoPlace').addEventListener('click', () => setPlacingInfo(!placingInfo));
+    }
+
+    // ============================================
+    // PANORAMA TRANSITIONS - walk through a doorway
+    // ============================================
+
+    let panoTransitioning = false;
+
+    // Tween panoYaw / panoPitch / panoFov; resolves early if the pano is left or
+    // shouldStop() returns true. ease: false for a constant-speed move.
+    function animatePanoView(to, duration, { shouldStop, ease = true } = {}) {
+        panoControls.stop();
+        const from = { yaw: panoYaw, pitch: panoPitch, fov: panoFov };
+        const startTime = performance.now();
+        return new Promise(resolve => {
+            function step(t) {
+                if (disposed || currentMode !== 'panorama' || (shouldStop && shouldStop())) {
+                    resolve();
+                    return;
+                }
+                const p = duration > 0 ? Math.min((t - startTime) / duration, 1) : 1;
+                const e = !ease ? p : p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2;
+                if (to.yaw !== undefined) panoYaw = from.yaw + (to.yaw - from.yaw) * e;
+                if (to.pitch !== undefined) panoPitch = from.pitch + (to.pitch - from.pitch) * e;
+                if (to.fov !== undefined) {
+                    panoFov = from.fov + (to.fov - from.fov) * e;
+                    camera.fov = panoFov;
+                    camera.updateProjectionMatrix();
+                }
+                updatePanoCamera();
+                if (p < 1) requestAnimationFrame(step);
+                else resolve();
+            }
+            requestAnimationFrame(step);
+        });
+    }
+
+    // Turn to the doorway, zoom into it while the next pano loads, then land in
+    // the next scene facing the same world direction and zoom back out.
+    async function walkToPano(target) {
+        const pano = panoGraph[currentPanoIndex];
+        const fromPos = pano && hotspotPositions[pano.index];
+        const toPos = hotspotPositions[target.index];
+        // The turn-and-zoom is skipped for reduced motion, and in VR where the head sets the view
+        if (panoTransitioning || !fromPos || !toPos || prefersReducedMotion() || isPresentingVR()) {
+            if (!panoTransitioning) navigatePano(target);
+            return;
+        }
+
+        panoTransitioning = true;
+        const startFov = panoFov;
+        const fromOffset = panoNorthOffset[pano.index] || 0;
+        const ready = acquirePano(target).catch(() => {});
+
+        try {
+            // 1. Face the link (shortest way round), level with the horizon
+            const linkYaw = linkWorldYaw(fromPos, toPos) - fromOffset;
+            const turn = ((linkYaw - panoYaw) % 360 + 540) % 360 - 180;
+            await animatePanoView({ yaw: panoYaw + turn, pitch: 0 }, 300 + Math.abs(turn) * 2);
+
+            // 2. Move in toward the doorway; waits here if the next pano is still loading
+            await Promise.all([animatePanoView({ fov: panoControls.clampFov(startFov * 0.6) }, 450), ready]);
+            if (currentMode !== 'panorama' || panoGraph[currentPanoIndex] !== pano) return;
+
+            // 3. Same world heading in the new scene
+            const heading = panoYaw + fromOffset;
+            const landingYaw = heading - (panoNorthOffset[target.index] || 0);
+            const oldLayer = panoLayer;
+            navigatePano(target, { yaw: landingYaw, pitch: 0, fov: panoFov });
+            // Keep the outgoing pano still on screen while it crossfades under the new one
+            if (oldLayer) oldLayer.object.rotation.y = -THREE.MathUtils.degToRad(landingYaw - (heading - fromOffset));
+
+            await animatePanoView({ fov: startFov }, 550);
+            scheduleHashUpdate();
+        } finally {
+            panoTransitioning = false;
+        }
+    }
+
+    // ============================================
+    // GUIDED TOUR (autoplay scripted in tour.json "guidedTour")
+    // ============================================
+    // Steps play in order:
+    //   { type: 'teleport', spot, duration }             dollhouse fly-by to a SPOTS key
+    //   { type: 'enter', pano, yaw, pitch, fov }          open a scene (walks there when linked)
+    //   { type: 'pan', yaw | yawBy, pitch, fov, duration } slow look around the current scene
+    //   { type: 'wait' }
+    // Any step may add a caption, an audio file (in the pano folder) and a dwell in
+    // seconds; it ends once its move, its dwell and its narration have all finished.
+    // yaw / pitch are in the scene's image frame, like info points and #pano links.
+
+    const GUIDED_STEP_TYPES = ['teleport', 'enter', 'pan', 'wait'];
+    const GUIDED_PAN_SPEED = 12;      // deg/s for pans without a duration
+
+    let guidedTour = null;            // { title, steps }
+    const guided = {
+        playing: false,
+        paused: false,
+        index: 0,                     // step being played
+        token: 0,                     // bumped to cancel the running step (pause / stop)
+        progress: null,               // current step's state, kept across a pause
+        audio: null,
+        audioDone: true
+    };
+
+    function validateGuidedStep(step, where, sceneIds) {
+        const isNum = v => typeof v === 'number' && Number.isFinite(v);
+        if (!step || !GUIDED_STEP_TYPES.includes(step.type)) {
+            return [`${where}.type must be one of ${GUIDED_STEP_TYPES.join(', ')}`];
+        }
+        const errors = [];
+        if (step.type === 'teleport' && !SPOTS[step.spot]) {
+            errors.push(`${where}.spot must be one of ${Object.keys(SPOTS).join(', ')}`);
+        }
+        if (step.type === 'enter' && !sceneIds.has(step.pano)) {
+            errors.push(`${where}.pano points to unknown scene ${JSON.stringify(step.pano)}`);
+        }
+        if (step.type === 'pan' && !isNum(step.yaw) && !isNum(step.yawBy)) {
+            errors.push(`${where} needs a numeric "yaw" or "yawBy"`);
+        }
+        for (const key of ['yaw', 'yawBy', 'pitch', 'fov']) {
+            if (step[key] !== undefined && !isNum(step[key])) errors.push(`${where}.${key} must be a number of degrees`);
+        }
+        for (const key of ['duration', 'dwell']) {
+            if (step[key] !== undefined && !(isNum(step[key]) && step[key] >= 0)) errors.push(`${where}.${key} must be seconds >= 0`);
+        }
+        for (const key of ['caption', 'audio']) {
+            if (step[key] !== undefined && typeof step[key] !== 'string') errors.push(`${where}.${key} must be a string`);
+        }
+        return errors;
+    }
+
+    function shortestTurn(deg) {
+        return ((deg % 360) + 540) % 360 - 180;
+    }
+
+    function playGuidedTour() {
+        if (!guidedTour) return;
+        if (guided.playing) {
+            resumeGuidedTour();
+            return;
+        }
+        guided.playing = true;
+        guided.paused = false;
+        guided.index = 0;
+        guided.progress = null;
+        if (measuring) setMeasuring(false);
+        guidedBar.classList.add('visible');
+        emitToHost('guidedTourStarted', { steps: guidedTour.steps.length });
+        runGuidedTour();
+    }
+
+    function pauseGuidedTour() {
+        if (!guided.playing || guided.paused) return;
+        guided.paused = true;
+        guided.token++;
+        if (guided.audio) guided.audio.pause();
+        updateGuidedBar();
+    }
+
+    function resumeGuidedTour() {
+        if (!guided.playing || !guided.paused) return;
+        guided.paused = false;
+        if (guided.audio && !guided.audioDone) playGuidedAudio(guided.audio);
+        runGuidedTour();
+    }
+
+    // completed: the last step finished, rather than the guest stopping
+    function stopGuidedTour(completed = false) {
+        if (!guided.playing) return;
+        guided.token++;
+        guided.playing = false;
+        guided.paused = false;
+        stopGuidedAudio();
+        guidedBar.classList.remove('visible');
+        emitToHost('guidedTourEnded', { completed });
+    }
+
+    async function runGuidedTour() {
+        const token = ++guided.token;
+        const stopped = () => disposed || token !== guided.token;
+        const steps = guidedTour.steps;
+
+        while (guided.index < steps.length) {
+            const step = steps[guided.index];
+            if (!guided.progress) {
+                guided.progress = {};
+                startGuidedAudio(step);
+                emitToHost('guidedTourStep', { index: guided.index, count: steps.length, caption: step.caption || null });
+            }
+            updateGuidedBar();
+            try {
+                await playGuidedStep(step, guided.progress, stopped);
+            } catch (err) {
+                console.warn(`[tour] Guided tour step ${guided.index + 1} failed: ${err.message}`);
+            }
+            if (stopped()) return;
+            guided.index++;
+            guided.progress = null;
+        }
+        stopGuidedTour(true);
+    }
+
+    async function playGuidedStep(step, progress, stopped) {
+        if (step.type === 'teleport') {
+            if (currentMode === 'panorama') exitPanorama();
+            await teleportTo(step.spot, (step.duration ?? 3) * 1000);
+        } else if (step.type === 'enter') {
+            await guidedEnterPano(step, stopped);
+        } else if (step.type === 'pan' && currentMode === 'panorama') {
+            await guidedPan(step, progress, stopped);
+        }
+        if (stopped()) return;
+
+        // Dwell and narration run side by side
+        if (progress.dwellLeft === undefined) progress.dwellLeft = (step.dwell ?? 0) * 1000;
+        await new Promise(resolve => {
+            let last = performance.now();
+            function tick(t) {
+                if (stopped()) return resolve();
+                progress.dwellLeft -= Math.max(0, t - last);
+                last = Math.max(last, t);
+                if (progress.dwellLeft <= 0 && guided.audioDone) resolve();
+                else requestAnimationFrame(tick);
+            }
+            requestAnimationFrame(tick);
+        });
+    }
+
+    async function guidedEnterPano(step, stopped) {
+        const pano = getPanoByNumber(step.pano);
+        if (!pano) {
+            console.warn(`[tour] Guided tour: scene ${step.pano} has no panorama, skipping it`);
+            return;
+        }
+        // Download first so the move doesn't land on a blank scene
+        await acquirePano(pano).catch(() => {});
+        if (stopped()) return;
+
+        const current = currentMode === 'panorama' ? panoGraph[currentPanoIndex] : null;
+        if (!current) {
+            enterPanorama(pano.index);
+        } else if (current !== pano) {
+            if ((panoConnections[current.index] || []).includes(pano.index)) await walkToPano(pano);
+            else navigatePano(pano);
+        }
+        if (stopped()) return;
+
+        const to = {};
+        if (step.yaw !== undefined) to.yaw = panoYaw + shortestTurn(step.yaw - panoYaw);
+        if (step.pitch !== undefined) to.pitch = step.pitch;
+        if (step.fov !== undefined) to.fov = step.fov;
+        if (Object.keys(to).length) await animatePanoView(to, 1500, { shouldStop: stopped });
+    }
+
+    // The sweep is fixed when the pan first starts, so a resumed pan finishes the
+    // same sweep in the time that was left.
+    async function guidedPan(step, progress, stopped) {
+        if (!progress.pan) {
+            const turn = step.yawBy ?? shortestTurn(step.yaw - panoYaw);
+            progress.pan = {
+                turn,
+                to: { yaw: panoYaw + turn, pitch: step.pitch ?? panoPitch, fov: step.fov ?? panoFov },
+                seconds: step.duration ?? Math.abs(turn) / GUIDED_PAN_SPEED
+            };
+        }
+        const { turn, to, seconds } = progress.pan;
+        const left = turn ? Math.min(1, Math.abs(to.yaw - panoYaw) / Math.abs(turn)) : 1;
+        await animatePanoView(to, seconds * 1000 * left, { shouldStop: stopped, ease: false });
+    }
+
+    function startGuidedAudio(step) {
+        stopGuidedAudio();
+        if (!step.audio) return;
+        const audio = new Audio(panoUrl(step.audio));
+        guided.audio = audio;
+        guided.audioDone = false;
+        const done = () => {
+            if (guided.audio === audio) guided.audioDone = true;
+        };
+        audio.addEventListener('ended', done);
+        audio.addEventListener('error', done);
+        playGuidedAudio(audio);
+    }
+
+    // A refused autoplay shouldn't hold the tour up; AbortError is just a pause
+    function playGuidedAudio(audio) {
+        audio.play().catch((err) => {
+            if (err.name !== 'AbortError' && guided.audio === audio) guided.audioDone = true;
+        });
+    }
+
+    function stopGuidedAudio() {
+        const audio = guided.audio;
+        guided.audio = null;
+        guided.audioDone = true;
+        if (audio) {
+            audio.pause();
+            audio.removeAttribute('src');
+            audio.load();
+        }
+    }
+
+    function updateGuidedBar() {
+        if (!guidedTour) return;
+        const count = guidedTour.steps.length;
+        const step = guidedTour.steps[guided.index];
+        const caption = (step && step.caption) || '';
+        guidedCaption.textContent = caption;
+        guidedCaption.classList.toggle('visible', !!caption);
+        guidedStepLabel.textContent = `${Math.min(guided.index + 1, count)} / ${count}`;
+        guidedToggle.textContent = guided.paused ? 'Resume' : 'Pause';
+        guidedBar.classList.toggle('paused', guided.paused);
+    }
+
+    function renderGuidedTourButton() {
+        playTourBtn.classList.toggle('visible', !!guidedTour);
+        if (guidedTour && guidedTour.title) playTourBtn.title = guidedTour.title;
+    }
+
+    function setupGuidedTour() {
+        playTourBtn.addEventListener('click', playGuidedTour);
+        guidedToggle.addEventListener('click', () => (guided.paused ? resumeGuidedTour() : pauseGuidedTour()));
+        ref('guidedStop').addEventListener('click', () => stopGuidedTour());
+
+        // Any input outside the player hands control back to the guest
+        const onInput = (e) => {
+            if (guided.playing && !guided.paused && !guidedBar.contains(e.target)) pauseGuidedTour();
+        };
+        listen(inputTarget, 'pointerdown', onInput, true);
+        listen(inputTarget, 'wheel', onInput, { capture: true, passive: true });
+        listen(inputTarget, 'keydown', onInput, true);
+    }
+
+    // ============================================
+    // ATTRACT MODE (idle auto-rotate, scene cycling, kiosk reset)
+    // ============================================
+
+    const ATTRACT_ROTATE_SPEED = 0.6;   // OrbitControls units: 2.0 = one orbit per 30 s
+    const ATTRACT_YAW_SPEED = 4;        // deg/s panorama drift
+
+    const attract = {
+        ...ATTRACT_DEFAULTS,
+        active: false,
+        lastInput: performance.now(),
+        lastFrame: 0,
+        sceneStart: 0,
+        kioskReset: false               // already back at the overview this idle period
+    };
+
+    function setupAttract() {
+        const onInput = () => {
+            attract.lastInput = performance.now();
+            attract.kioskReset = false;
+            if (attract.active) stopAttract();
+        };
+        for (const type of ['pointerdown', 'pointermove', 'keydown', 'touchstart', 'wheel']) {
+            listen(inputTarget, type, onInput, { capture: true, passive: true });
+        }
+    }
+
+    // Options from the host page; anything left out keeps its current value
+    function configureAttract({ idle, cycle, kiosk }) {
+        const seconds = v => (typeof v === 'number' && Number.isFinite(v) && v >= 0 ? v : undefined);
+        if (seconds(idle) !== undefined) attract.idle = idle;
+        if (seconds(cycle) !== undefined) attract.cycle = cycle;
+        if (seconds(kiosk) !== undefined) attract.kiosk = kiosk;
+        if (!attract.idle && attract.active) stopAttract();
+    }
+
+    // Called every frame
+    function updateAttract(now) {
+        const dt = Math.min(0.1, (now - attract.lastFrame) / 1000);
+        attract.lastFrame = now;
+        if (EDIT_MODE || (!attract.idle && !attract.kiosk)) return;
+
+        // A playing guided tour already moves the view; someone looking around
+        // with a headset or by turning their phone is never idle here
+        if ((guided.playing && !guided.paused) || isPresentingVR() || (gyro.enabled && currentMode === 'panorama')) {
+            attract.lastInput = now;
+            return;
+        }
+
+        const idle = (now - attract.lastInput) / 1000;
+        if (attract.kiosk && idle >= attract.kiosk && !attract.kioskReset) resetToOverview();
+        if (attract.idle && !attract.active && idle >= attract.idle) startAttract(now);
+        if (!attract.active) return;
+
+        // Reduced motion: no drifting, scene cycling still cuts between panoramas
+        const still = prefersReducedMotion();
+        controls.autoRotate = currentMode === 'dollhouse' && !still;
+        if (currentMode !== 'panorama' || panoTransitioning) return;
+
+        if (!still) {
+            panoYaw += ATTRACT_YAW_SPEED * dt;
+            updatePanoCamera();
+        }
+        if (attract.cycle && panoGraph.length > 1 && now - attract.sceneStart >= attract.cycle * 1000) {
+            attract.sceneStart = now;
+            // Every scene in turn; only a linked one gets the doorway walk, the rest crossfade
+            const current = panoGraph[currentPanoIndex];
+            const next = panoGraph[(currentPanoIndex + 1) % panoGraph.length];
+            if ((panoConnections[current.index] || []).includes(next.index)) walkToPano(next);
+            else navigatePano(next);
+        }
+    }
+
+    function startAttract(now) {
+        attract.active = true;
+        attract.sceneStart = now;
+        controls.autoRotateSpeed = ATTRACT_ROTATE_SPEED;
+        closeInfoCard();
+        emitToHost('attractChanged', { active: true });
+    }
+
+    function stopAttract() {
+        attract.active = false;
+        controls.autoRotate = false;
+        if (currentMode === 'panorama') scheduleHashUpdate();
+        emitToHost('attractChanged', { active: false });
+    }
+
+    // Kiosk: leave the tour the way the next visitor should find it
+    function resetToOverview() {
+        attract.kioskReset = true;
+        stopGuidedTour();
+        if (currentMode === 'panorama') exitPanorama();
+        if (measuring) setMeasuring(false);
+        resetSection();
+        if (selectedFloor !== null) setFloor(null);
+        teleportTo('overview', 2000);
+    }
+
+    // ============================================
+    // KEYBOARD & SCREEN READER ACCESS
+    // ============================================
+
+    const KEY_LOOK_STEP = 5;            // degrees per key press (repeats while held)
+    const KEY_ZOOM_STEP = 5;            // panorama FOV degrees per +/- press
+    const KEY_DOLLY_FACTOR = 1.1;       // dollhouse distance factor per +/- press
+    const VIEW_KEYS = {
+        ArrowLeft: [-1, 0], a: [-1, 0],
+        ArrowRight: [1, 0], d: [1, 0],
+        ArrowUp: [0, 1], w: [0, 1],
+        ArrowDown: [0, -1], s: [0, -1]
+    };
+    const ZOOM_KEYS = { '+': -1, '=': -1, '-': 1, '_': 1 };
+
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const orbitSpherical = new THREE.Spherical();
+    const proxyPosition = new THREE.Vector3();
+    let a11yProxies = [];               // [{ button, object }]
+    let a11yRefocus = false;            // a proxy was used: focus the next set once it exists
+
+    function prefersReducedMotion() {
+        return reducedMotionQuery.matches;
+    }
+
+    // Arrows / WASD look around a panorama or orbit the dollhouse, +/- zoom.
+    // Returns true when the key was used.
+    function onViewKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return false;
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        const dir = VIEW_KEYS[key];
+        const zoom = ZOOM_KEYS[key];
+        if (!dir && !zoom) return false;
+        e.preventDefault();
+
+        if (currentMode === 'panorama') {
+            if (panoTransitioning) return true;
+            panoControls.stop();
+            if (dir) {
+                panoYaw += dir[0] * KEY_LOOK_STEP;
+                panoPitch = panoControls.clampPitch(panoPitch + dir[1] * KEY_LOOK_STEP);
+            } else {
+                panoFov = panoControls.clampFov(panoFov + zoom * KEY_ZOOM_STEP);
+                camera.fov = panoFov;
+                camera.updateProjectionMatrix();
+            }
+            updatePanoCamera();
+        } else {
+            if (isAnimating) return true;
+            const offset = camera.position.clone().sub(controls.target);
+            orbitSpherical.setFromVector3(offset);
+            if (dir) {
+                orbitSpherical.theta += THREE.MathUtils.degToRad(dir[0] * KEY_LOOK_STEP);
+                orbitSpherical.phi = THREE.MathUtils.clamp(
+                    orbitSpherical.phi - THREE.MathUtils.degToRad(dir[1] * KEY_LOOK_STEP),
+                    Math.max(0.01, controls.minPolarAngle),
+                    Math.min(Math.PI - 0.01, controls.maxPolarAngle)
+                );
+            } else {
+                orbitSpherical.radius = THREE.MathUtils.clamp(
+                    orbitSpherical.radius * (zoom > 0 ? KEY_DOLLY_FACTOR : 1 / KEY_DOLLY_FACTOR),
+                    controls.minDistance,
+                    controls.maxDistance
+                );
+            }
+            camera.position.copy(controls.target).add(offset.setFromSpherical(orbitSpherical));
+            controls.update();
+        }
+        scheduleHashUpdate();
+        return true;
+    }
+
+    // Focusable stand-ins for the canvas-only targets: hotspots in the dollhouse,
+    // links and info points in a panorama. Hidden until focused, then shown over
+    // the object they stand for.
+    function renderA11yProxies() {
+        if (!a11yLayer) return;
+        const items = [];
+        if (currentMode === 'panorama') {
+            panoArrows.forEach(obj => items.push({ object: obj, name: `Go to ${obj.userData.label}`, activate: obj.userData.onClick }));
+            infoMarkers.forEach(obj => items.push({ object: obj, name: `Information: ${obj.userData.title}`, activate: obj.userData.onClick }));
+        } else {
+            visibleHotspotMeshes().forEach((mesh) => {
+                const pano = getPanoByNumber(mesh.userData.panoIndex);
+                if (pano) items.push({ object: mesh, name: `Open 360° view: ${sceneName(pano)}`, activate: () => enterPanorama(pano.index) });
+            });
+        }
+
+        a11yProxies = items.map(({ object, name, activate }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'a11y-proxy';
+            button.textContent = name;
+            button.addEventListener('click', () => {
+                a11yRefocus = true;
+                activate();
+            });
+            button.addEventListener('focus', () => positionA11yProxy(button, object));
+            return { button, object };
+        });
+        a11yLayer.replaceChildren(...a11yProxies.map(p => p.button));
+
+        if (a11yRefocus && a11yProxies.length) {
+            a11yRefocus = false;
+            a11yProxies[0].button.focus();
+        }
+    }
+
+    function positionA11yProxy(button, object) {
+        object.getWorldPosition(proxyPosition).project(camera);
+        const rect = renderer.domElement.getBoundingClientRect();
+        // Behind the camera or off screen: pin to the nearest edge
+        const behind = proxyPosition.z > 1;
+        const x = THREE.MathUtils.clamp(behind ? -proxyPosition.x : proxyPosition.x, -0.9, 0.9);
+        const y = THREE.MathUtils.clamp(behind ? -1 : proxyPosition.y, -0.9, 0.9);
+        button.style.left = `${rect.left + (x + 1) / 2 * rect.width}px`;
+        button.style.top = `${rect.top + (1 - y) / 2 * rect.height}px`;
+    }
+
+    // Called every frame: the focused proxy follows its object as the view moves
+    function updateFocusedA11yProxy() {
+        const focused = document.activeElement;
+        if (!focused || !focused.classList.contains('a11y-proxy')) return;
+        const proxy = a11yProxies.find(p => p.button === focused);
+        if (proxy) positionA11yProxy(proxy.button, proxy.object);
+    }
+
+    function announce(message) {
+        if (!a11yStatus) return;
+        // Cleared first so the same text is read again
+        a11yStatus.textContent = '';
+        requestAnimationFrame(() => {
+            a11yStatus.textContent = message;
+        });
+    }
+
+    function announceScene(pano) {
+        const exits = (panoConnections[pano.index] || []).filter(num => getPanoByNumber(num)).length;
+        announce(`${sceneName(pano)}, 360° view, scene ${pano.index} of ${panoGraph.length}. ` +
+            `${exits === 1 ? '1 exit' : `${exits} exits`}. Press Escape to return to the dollhouse.`);
+    }
+
+    // ============================================
+    // VR (WebXR, see vr.js)
+    // ============================================
+    // Head tracking drives the view in panoramas; controller rays or gaze-dwell
+    // pick the floor circles; the dollhouse becomes a model on a table.
+    // Squeeze or the target under the viewer's feet goes back to the dollhouse.
+
+    let vrMode = null;
+    let vrPlacedFor = null;           // 'dollhouse' or the pano the viewer was last placed in
+    let vrReturnView = null;          // { position, target } dollhouse camera for after the session
+    let vrBackTarget = null;
+
+    function setupVR() {
+        vrMode = new VRMode(renderer, scene, camera, {
+            getTargets: vrTargets,
+            onSelect: onVRSelect,
+            onSqueeze: () => {
+                if (currentMode === 'panorama') exitPanorama();
+            },
+            onStart: onVRStart,
+            onEnd: onVREnd
+        });
+        const buttons = root.querySelectorAll('.vr-btn');
+        buttons.forEach(btn => btn.addEventListener('click', toggleVR));
+        // Without navigator.xr or a headset the buttons simply stay hidden
+        vrMode.isSupported().then((ok) => {
+            buttons.forEach(btn => btn.classList.toggle('visible', ok));
+        });
+    }
+
+    function isPresentingVR() {
+        return !!vrMode && vrMode.presenting;
+    }
+
+    async function toggleVR() {
+        if (vrMode.presenting) {
+            vrMode.exit();
+            return;
+        }
+        try {
+            await vrMode.enter();
+        } catch (err) {
+            console.warn(`[tour] Could not start VR: ${err.message}`);
+            if (tourNotice && currentMode === 'dollhouse') {
+                tourNotice.textContent = 'VR could not be started on this device.';
+                tourNotice.classList.add('visible');
+            }
+        }
+    }
+
+    function vrTargets() {
+        if (currentMode === 'panorama') return vrBackTarget ? [...panoArrows, vrBackTarget] : panoArrows;
+        return visibleHotspotMeshes();
+    }
+
+    function onVRSelect(target) {
+        if (target.userData.onClick) target.userData.onClick();
+        else if (target.userData.panoIndex) enterPanorama(target.userData.panoIndex);
+    }
+
+    function onVRStart() {
+        pauseGuidedTour();
+        if (attract.active) stopAttract();
+        if (measuring) setMeasuring(false);
+        closeInfoCard();
+        // The headset owns the camera until the session ends
+        const orbit = currentMode === 'dollhouse'
+            ? { position: camera.position, target: controls.target }
+            : savedCameraPos && { position: savedCameraPos, target: savedControlsTarget };
+        vrReturnView = orbit ? { position: orbit.position.clone(), target: orbit.target.clone() } : null;
+        controls.enabled = false;
+        vrBackTarget = createVRBackTarget();
+        scene.add(vrBackTarget);
+        vrPlacedFor = null;
+        emitToHost('vrChanged', { active: true });
+    }
+
+    function onVREnd() {
+        if (vrBackTarget) {
+            scene.remove(vrBackTarget);
+            vrBackTarget.material.map.dispose();
+            vrBackTarget.material.dispose();
+            vrBackTarget = null;
+        }
+        camera.scale.set(1, 1, 1);
+        camera.aspect = container.clientWidth / container.clientHeight;
+        if (currentMode === 'panorama') {
+            camera.position.set(0, 0, 0);
+            camera.fov = panoFov;
+            camera.updateProjectionMatrix();
+            updatePanoCamera();
+            // Leaving the pano later goes back to the orbit view from before VR
+            if (vrReturnView) {
+                savedCameraPos = vrReturnView.position;
+                savedControlsTarget = vrReturnView.target;
+            }
+        } else {
+            camera.updateProjectionMatrix();
+            if (vrReturnView) {
+                camera.position.copy(vrReturnView.position);
+                controls.target.copy(vrReturnView.target);
+            }
+            controls.enabled = true;
+            controls.update();
+        }
+        vrReturnView = null;
+        scheduleHashUpdate();
+        emitToHost('vrChanged', { active: false });
+    }
+
+    // Called every frame while presenting
+    function updateVR(now) {
+        const placement = currentMode === 'panorama' ? currentPanoIndex : 'dollhouse';
+        if (placement !== vrPlacedFor) {
+            if (currentMode === 'dollhouse') {
+                if (modelBoundingBox) vrMode.placeAtTabletop(modelBoundingBox, orbitHeading());
+            } else if (vrPlacedFor === null || vrPlacedFor === 'dollhouse') {
+                vrMode.placeInPanorama(panoYaw);
+            } else {
+                // Next scene: turn so the head lands on navigatePano()'s yaw, keeping the world heading
+                vrMode.turnBy(panoYaw - vrMode.getHeading().yaw);
+            }
+            vrPlacedFor = placement;
+            vrBackTarget.visible = currentMode === 'panorama';
+            vrMode.update(now);
+            return;   // the head pose catches up with the new placement next frame
+        }
 
-    // Touch events for mobile pano (pinch-to-zoom + drag-to-look)
-    canvas.addEventListener('touchstart', (e) => {
+        vrMode.update(now);
         if (currentMode === 'panorama') {
-            e.preventDefault();
-            if (e.touches.length === 2) {
-                panoPinchDist = getTouchDist(e);
-                panoPointerDown = false;
+            // Keep the compass, minimap and deep link in step with the head
+            const { yaw, pitch } = vrMode.getHeading();
+            panoYaw = yaw;
+            panoPitch = pitch;
+            updateCompass();
+            updateMinimapCone();
+        }
+    }
+
+    // World yaw the dollhouse camera faced before VR, so the table model is seen from the same side
+    function orbitHeading() {
+        const view = vrReturnView || { position: camera.position, target: controls.target };
+        return THREE.MathUtils.radToDeg(Math.atan2(view.target.z - view.position.z, view.target.x - view.position.x));
+    }
+
+    // Label under the viewer's feet in panoramas: look down (or point) to go back
+    function createVRBackTarget() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 80;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.beginPath();
+        ctx.arc(40, 40, 36, Math.PI / 2, Math.PI * 1.5);
+        ctx.arc(472, 40, 36, -Math.PI / 2, Math.PI / 2);
+        ctx.fill();
+        ctx.fillStyle = '#c9a962';
+        ctx.font = '500 30px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Back to dollhouse', 256, 42);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false }));
+        sprite.position.set(0, -9, 0);
+        sprite.scale.set(6, 0.94, 1);
+        sprite.renderOrder = 101;
+        sprite.visible = false;
+        sprite.userData.onClick = exitPanorama;
+        return sprite;
+    }
+
+    // ============================================
+    // GYROSCOPE ("magic window" on phones)
+    // ============================================
+    // Turning the phone turns the view and tilting it sets the pitch (upright =
+    // horizon). There is no true north to line up with, so yaw follows the phone's
+    // turns from wherever the view was. Drags and keys still work on top.
+
+    const GYRO_SUPPORTED = 'DeviceOrientationEvent' in window && window.matchMedia('(pointer: coarse)').matches;
+    const GYRO_SMOOTHING = 0.08;      // s, time constant of the sensor low-pass
+    const GYRO_SENSOR_TIMEOUT = 1000; // ms to wait for a first reading
+
+    const gyro = {
+        enabled: false,
+        reading: null,                // latest { yaw, pitch } from the sensor
+        smoothed: null,
+        pitchOffset: 0,               // drags / keys on top of the phone's tilt
+        appliedPitch: 0,              // panoPitch as last set here
+        primed: false,
+        lastFrame: 0
+    };
+    const gyroEuler = new THREE.Euler();
+    const gyroQuat = new THREE.Quaternion();
+    const gyroScreenQuat = new THREE.Quaternion();
+    const gyroForward = new THREE.Vector3();
+    // The view looks out of the back of the phone, not out of its top edge
+    const GYRO_BACK_CAMERA = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
+    const SCREEN_AXIS = new THREE.Vector3(0, 0, 1);
+
+    function setupGyro() {
+        if (!gyroToggle) return;
+        gyroToggle.classList.toggle('visible', GYRO_SUPPORTED);
+        gyroToggle.addEventListener('click', () => setGyro(!gyro.enabled));
+    }
+
+    async function setGyro(on) {
+        if (on && typeof DeviceOrientationEvent.requestPermission === 'function') {
+            // iOS asks once, and only from a tap
+            let state = 'denied';
+            try {
+                state = await DeviceOrientationEvent.requestPermission();
+            } catch (_) {
+                // Treated as denied
+            }
+            if (state !== 'granted') {
+                showPanoToast('Motion access was not allowed. It can be turned on in Settings > Safari.');
                 return;
             }
         }
-        onGlobalPointerDown(e);
-    }, { passive: false });
-    canvas.addEventListener('touchmove', (e) => {
+
+        gyro.enabled = on;
+        gyro.reading = null;
+        gyro.primed = false;
+        gyro.pitchOffset = 0;
+        gyroToggle.classList.toggle('active', on);
+        gyroToggle.setAttribute('aria-pressed', String(on));
+        if (on) {
+            window.addEventListener('deviceorientation', onDeviceOrientation);
+            // Some browsers have the API without a sensor behind it
+            setTimeout(() => {
+                if (gyro.enabled && !gyro.reading) {
+                    setGyro(false);
+                    showPanoToast('This device has no motion sensor.');
+                }
+            }, GYRO_SENSOR_TIMEOUT);
+        } else {
+            window.removeEventListener('deviceorientation', onDeviceOrientation);
+        }
+        announce(on ? 'Motion look on' : 'Motion look off');
+    }
+
+    // Phone attitude -> direction out of the back of the screen, as yaw / pitch
+    function onDeviceOrientation(e) {
+        if (e.alpha === null || e.beta === null || e.gamma === null) return;
+        const deg = THREE.MathUtils.degToRad;
+        gyroEuler.set(deg(e.beta), deg(e.alpha), -deg(e.gamma), 'YXZ');
+        gyroQuat.setFromEuler(gyroEuler)
+            .multiply(GYRO_BACK_CAMERA)
+            .multiply(gyroScreenQuat.setFromAxisAngle(SCREEN_AXIS, -deg(screenOrientationAngle())));
+        gyroForward.set(0, 0, -1).applyQuaternion(gyroQuat);
+        gyro.reading = {
+            yaw: THREE.MathUtils.radToDeg(Math.atan2(gyroForward.z, gyroForward.x)),
+            pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(gyroForward.y, -1, 1)))
+        };
+    }
+
+    // Degrees the screen is rotated from the phone's natural (portrait) orientation
+    function screenOrientationAngle() {
+        if (screen.orientation && typeof screen.orientation.angle === 'number') return screen.orientation.angle;
+        return Number(window.orientation) || 0;
+    }
+
+    // Called every frame
+    function updateGyro(now) {
+        const dt = Math.min(0.1, (now - gyro.lastFrame) / 1000);
+        gyro.lastFrame = now;
+        if (!gyro.enabled || !gyro.reading || currentMode !== 'panorama' || isPresentingVR()) {
+            gyro.primed = false;
+            return;
+        }
+
+        const reading = gyro.reading;
+        if (!gyro.primed) {
+            gyro.smoothed = { ...reading };
+            gyro.appliedPitch = panoPitch;
+            gyro.primed = true;
+        }
+        // Whatever moved panoPitch since the last frame (drag, keys) becomes offset
+        gyro.pitchOffset += panoPitch - gyro.appliedPitch;
+
+        const k = 1 - Math.exp(-dt / GYRO_SMOOTHING);
+        const lastYaw = gyro.smoothed.yaw;
+        gyro.smoothed.yaw += shortestTurn(reading.yaw - gyro.smoothed.yaw) * k;
+        gyro.smoothed.pitch += (reading.pitch - gyro.smoothed.pitch) * k;
+
+        panoYaw += gyro.smoothed.yaw - lastYaw;
+        panoPitch = panoControls.clampPitch(gyro.smoothed.pitch + gyro.pitchOffset);
+        gyro.appliedPitch = panoPitch;
+        updatePanoCamera();
+    }
+
+    let panoToastTimer = 0;
+
+    function showPanoToast(message) {
+        if (!panoToast) return;
+        panoToast.textContent = message;
+        panoToast.classList.add('visible');
+        clearTimeout(panoToastTimer);
+        panoToastTimer = setTimeout(() => panoToast.classList.remove('visible'), 4000);
+    }
+
+    // ============================================
+    // CLICK / TAP HANDLING
+    // ============================================
+
+    function setPointerFromEvent(e) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const clientX = e.clientX || (e.changedTouches && e.changedTouches[0].clientX) || 0;
+        const clientY = e.clientY || (e.changedTouches && e.changedTouches[0].clientY) || 0;
+        pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+        raycaster.setFromCamera(pointer, camera);
+    }
+
+    function onPointerClick(e) {
+        // Get pointer position
+        setPointerFromEvent(e);
+
         if (currentMode === 'panorama') {
-            e.preventDefault();
-            if (e.touches.length === 2) {
-                const dist = getTouchDist(e);
-                const delta = panoPinchDist - dist;
-                panoFov += delta * 0.15;
-                panoFov = Math.max(30, Math.min(100, panoFov));
-                camera.fov = panoFov;
-                camera.updateProjectionMatrix();
-                panoPinchDist = dist;
+            if (placingInfo) {
+                placeInfoPoint();
                 return;
             }
+            // Check arrow and info point clicks (recursive since arrows are groups with children)
+            const hits = raycaster.intersectObjects([...panoArrows, ...infoMarkers], true);
+            if (hits.length > 0) {
+                // Walk up to find the object with the onClick handler
+                let obj = hits[0].object;
+                while (obj && !obj.userData.onClick) obj = obj.parent;
+                if (obj && obj.userData.onClick) obj.userData.onClick();
+            }
+            return;
         }
-        onGlobalPointerMove(e);
-    }, { passive: false });
-    canvas.addEventListener('touchend', (e) => {
-        panoPinchDist = 0;
-        onGlobalPointerUp(e);
-    });
 
-    // Keyboard
-    document.addEventListener('keydown', onKeyDown);
-}
+        // Measuring takes every dollhouse click, including ones over hotspots
+        if (measuring) {
+            onMeasureClick();
+            return;
+        }
 
-// ============================================
-// RESIZE
-// ============================================
+        // Editor tools take over dollhouse clicks (except in Preview)
+        if (EDIT_MODE && editorTool !== 'view') {
+            onEditorClick();
+            return;
+        }
 
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-}
-window.addEventListener('resize', onWindowResize);
+        // Dollhouse mode - check hotspot clicks
+        const hotHits = raycaster.intersectObjects(visibleHotspotMeshes(), true);
+        if (hotHits.length > 0) {
+            // Walk up to root hotspot mesh
+            let obj = hotHits[0].object;
+            while (obj.parent && !obj.userData.panoIndex) obj = obj.parent;
+            if (obj.userData.panoIndex) {
+                enterPanorama(obj.userData.panoIndex);
+            }
+        }
+    }
 
-// ============================================
-// ANIMATION LOOP
-// ============================================
+    // Distinguish click from drag
+    let pointerDownTime = 0;
+    let pointerDownPos = { x: 0, y: 0 };
 
-function animate(time) {
-    requestAnimationFrame(animate);
-    const t = time || 0;
+    function onGlobalPointerDown(e) {
+        pointerDownTime = Date.now();
+        pointerDownPos.x = e.clientX;
+        pointerDownPos.y = e.clientY;
+    }
 
-    if (currentMode === 'dollhouse') {
-        controls.update();
-        updateHotspots(t);
-    } else if (currentMode === 'panorama') {
-        updatePanoArrowPulse(t);
-        // Handle fade transition
-        if (panoFading && panoSphere) {
-            panoFadeProgress += 0.03;
-            if (panoFadeProgress >= 1) {
-                panoFadeProgress = 1;
-                panoFading = false;
+    function onGlobalPointerUp(e) {
+        const elapsed = Date.now() - pointerDownTime;
+        const dist = Math.sqrt((e.clientX - pointerDownPos.x) ** 2 + (e.clientY - pointerDownPos.y) ** 2);
+        // Only treat as click if short press and minimal movement
+        if (elapsed < 300 && dist < 10) {
+            onPointerClick(e);
+        }
+    }
+
+    function onKeyDown(e) {
+        if (e.key === 'Escape' && infoCard && infoCard.classList.contains('visible')) {
+            closeInfoCard();
+            return;
+        }
+        if (measuring && currentMode === 'dollhouse') {
+            if (e.key === 'Enter') finishMeasurement();
+            else if (e.key === 'Backspace') undoMeasurePoint();
+            else if (e.key === 'Escape') {
+                if (measureDraft.length) {
+                    measureDraft = [];
+                    renderMeasureDraft();
+                } else {
+                    setMeasuring(false);
+                }
             }
-            panoSphere.material.opacity = panoFadeProgress;
+            return;
+        }
+        if (calibrating && (e.key === '[' || e.key === ']')) {
+            adjustNorthOffset(e.key === '[' ? -1 : 1);
+            return;
+        }
+        if (onViewKey(e)) return;
+        if (e.key === 'Escape' && currentMode === 'panorama') {
+            exitPanorama();
         }
     }
 
-    renderer.render(scene, camera);
-}
+    // ============================================
+    // EDITOR MODE (?edit=1) - place hotspots, edit links, export
+    // ============================================
+
+    let editorTool = 'place';     // 'place' | 'link' | 'view'
+    let editorSelected = null;    // pano number being placed / edited
+    let editorLinkFrom = null;    // first pano picked in link tool
+    let editorDragging = null;    // hotspot mesh being dragged
+    let editorLinkLines = null;   // THREE.LineSegments showing the nav graph
+    let editorDragMoved = false;
+    let calibrating = false;          // north-offset calibration inside a pano
+    let calibratedScenes = new Set(); // pano numbers whose offset was set by hand
+
+    function setupEditor() {
+        if (!EDIT_MODE || !editorPanel) return;
+        editorPanel.classList.add('visible');
+
+        editorPanel.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => setEditorTool(btn.dataset.tool));
+        });
+        ref('editorRemove').addEventListener('click', removeSelectedHotspot);
+        ref('editorExportHotspots').addEventListener('click', () => {
+            downloadJSON('hotspots.json', exportHotspotPositions());
+            setEditorStatus('Exported hotspots.json');
+        });
+        ref('editorExportTour').addEventListener('click', () => {
+            downloadJSON('tour.json', buildTourDefinition());
+            setEditorStatus('Exported tour.json');
+        });
+        ref('editorReset').addEventListener('click', () => {
+            if (!window.confirm('Discard local hotspot, link, north offset and info point edits?')) return;
+            localStorage.removeItem(storageKey(STORAGE_HOTSPOTS));
+            localStorage.removeItem(storageKey(STORAGE_LINKS));
+            localStorage.removeItem(storageKey(STORAGE_OFFSETS));
+            localStorage.removeItem(storageKey(STORAGE_FLOORS));
+            localStorage.removeItem(storageKey(STORAGE_INFO_POINTS));
+            window.location.reload();
+        });
 
-// ============================================
-// INIT
-// ============================================
+        // Dragging runs alongside the click handling in setupUI()
+        const canvas = renderer.domElement;
+        canvas.addEventListener('pointerdown', onEditorPointerDown);
+        canvas.addEventListener('pointermove', onEditorPointerMove);
+        canvas.addEventListener('pointerup', onEditorPointerUp);
+
+        setEditorTool('place');
+        setupCalibration();
+    }
+
+    function setEditorTool(tool) {
+        editorTool = tool;
+        editorLinkFrom = null;
+        editorPanel.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+        const hints = {
+            place: 'Pick a scene, then click the model to place it. Drag spheres to move them.',
+            link: 'Click two hotspots to link or unlink them.',
+            view: 'Preview: click hotspots to open their 360° view.'
+        };
+        setEditorStatus(hints[tool]);
+        applyEditorHighlight();
+    }
+
+    function setEditorStatus(text) {
+        if (editorStatus) editorStatus.textContent = text;
+    }
 
-function init() {
-    try {
-        initScene();
-        setupUI();
+    function renderEditorScenes() {
+        if (!editorScenes) return;
+        editorScenes.innerHTML = '';
+        for (const pano of panoGraph) {
+            const btn = document.createElement('button');
+            btn.className = 'spot-btn';
+            btn.classList.toggle('active', pano.index === editorSelected);
+            btn.classList.toggle('unplaced', !hotspotPositions[pano.index]);
+            btn.textContent = pano.index + '. ' + sceneName(pano);
+            btn.addEventListener('click', () => selectEditorScene(pano.index));
+            editorScenes.appendChild(btn);
+        }
+    }
 
-        // Start model loading immediately (don't block on manifest/hotspots)
-        loadModel();
+    function selectEditorScene(num) {
+        editorSelected = num;
+        renderEditorScenes();
+        applyEditorHighlight();
+    }
 
-        // Load manifest + hotspot positions in background
-        Promise.all([loadManifest(), loadHotspotPositions()])
-            .then(() => {
-                // If model already loaded, recreate hotspot meshes now
-                if (model) createHotspotMeshes();
-            })
-            .catch(() => {});
+    function applyEditorHighlight() {
+        for (const mesh of hotspotMeshes) {
+            const num = mesh.userData.panoIndex;
+            const lit = num === editorSelected || num === editorLinkFrom;
+            mesh.material.color.setHex(lit ? EDITOR_HIGHLIGHT : HOTSPOT_COLOR);
+        }
+    }
 
-    } catch (error) {
-        showError(`Failed to initialize: ${error.message}`);
+    // Hotspot under the raycaster, or null
+    function pickHotspot() {
+        const hits = raycaster.intersectObjects(visibleHotspotMeshes(), true);
+        if (hits.length === 0) return null;
+        let obj = hits[0].object;
+        while (obj.parent && !obj.userData.panoIndex) obj = obj.parent;
+        return obj.userData.panoIndex ? obj : null;
+    }
+
+    // Point on the model under the raycaster, lifted off the surface by the sphere radius
+    function pickModelPoint() {
+        if (!model) return null;
+        const hit = raycaster.intersectObject(model, true).find(isModelSurfaceHit);
+        if (!hit) return null;
+        const point = hit.point.clone();
+        if (hit.face) {
+            const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+            point.addScaledVector(normal, 0.15);
+        }
+        return point;
+    }
+
+    function onEditorClick() {
+        const hotspot = pickHotspot();
+
+        if (editorTool === 'link') {
+            if (!hotspot) return;
+            const num = hotspot.userData.panoIndex;
+            if (editorLinkFrom === null) {
+                editorLinkFrom = num;
+                setEditorStatus(`Linking from ${num} - click another hotspot.`);
+            } else if (editorLinkFrom === num) {
+                editorLinkFrom = null;
+                setEditorStatus('Link cancelled.');
+            } else {
+                toggleLink(editorLinkFrom, num);
+                editorLinkFrom = null;
+            }
+            applyEditorHighlight();
+            return;
+        }
+
+        // Place tool
+        if (hotspot) {
+            selectEditorScene(hotspot.userData.panoIndex);
+            return;
+        }
+        if (editorSelected === null) {
+            setEditorStatus('Pick a scene from the list first.');
+            return;
+        }
+        const point = pickModelPoint();
+        if (!point) return;
+        hotspotPositions[editorSelected] = { x: point.x, y: point.y, z: point.z };
+        if (selectedFloor !== null) sceneFloors[editorSelected] = selectedFloor;
+        commitEditorChange(`Placed hotspot ${editorSelected}.`);
+    }
+
+    function toggleLink(a, b) {
+        const linksA = panoConnections[a] || (panoConnections[a] = []);
+        const linksB = panoConnections[b] || (panoConnections[b] = []);
+        if (linksA.includes(b)) {
+            panoConnections[a] = linksA.filter(n => n !== b);
+            panoConnections[b] = linksB.filter(n => n !== a);
+            commitEditorChange(`Unlinked ${a} and ${b}.`);
+        } else {
+            linksA.push(b);
+            if (!linksB.includes(a)) linksB.push(a);
+            commitEditorChange(`Linked ${a} and ${b}.`);
+        }
+    }
+
+    function removeSelectedHotspot() {
+        if (editorSelected === null || !hotspotPositions[editorSelected]) return;
+        delete hotspotPositions[editorSelected];
+        commitEditorChange(`Removed hotspot ${editorSelected}.`);
+    }
+
+    function commitEditorChange(message) {
+        const saved = saveEditorData();
+        createHotspotMeshes();
+        renderEditorScenes();
+        setEditorStatus(saved ? message + ' Saved locally.' : message + ' (Could not save to localStorage.)');
+    }
+
+    function onEditorPointerDown(e) {
+        if (currentMode !== 'dollhouse' || editorTool !== 'place' || measuring) return;
+        setPointerFromEvent(e);
+        const hotspot = pickHotspot();
+        if (!hotspot) return;
+        editorDragging = hotspot;
+        editorDragMoved = false;
+        controls.enabled = false;
+        selectEditorScene(hotspot.userData.panoIndex);
+    }
+
+    function onEditorPointerMove(e) {
+        if (!editorDragging) return;
+        setPointerFromEvent(e);
+        const point = pickModelPoint();
+        if (!point) return;
+        editorDragging.position.copy(point);
+        editorDragMoved = true;
+        hotspotPositions[editorDragging.userData.panoIndex] = { x: point.x, y: point.y, z: point.z };
+        updateEditorLinkLines();
+    }
+
+    function onEditorPointerUp() {
+        if (!editorDragging) return;
+        const num = editorDragging.userData.panoIndex;
+        editorDragging = null;
+        controls.enabled = true;
+        if (editorDragMoved) commitEditorChange(`Moved hotspot ${num}.`);
+    }
+
+    // --- North offset calibration (inside a panorama) ---
+
+    function setupCalibration() {
+        if (!calibratePanel) return;
+        calibratePanel.classList.add('visible');
+        ref('calibrateToggle').addEventListener('click', () => setCalibrating(!calibrating));
+        ref('calibrateReciprocal').addEventListener('click', applyReciprocalOffsets);
+        ref('calibrateExport').addEventListener('click', () => {
+            downloadJSON('tour.json', buildTourDefinition());
+        });
+    }
+
+    function setCalibrating(on) {
+        if (!calibratePanel) return;
+        calibrating = on;
+        // A throw would keep shifting the offset after the drag
+        panoControls.inertia = !on;
+        if (on && placingInfo) setPlacingInfo(false);
+        calibratePanel.classList.toggle('active', on);
+        ref('calibrateToggle').textContent = on ? 'Done' : 'Calibrate north';
+        updateCalibrateReadout();
+    }
+
+    function updateCalibrateReadout() {
+        if (!calibrateReadout) return;
+        const pano = panoGraph[currentPanoIndex];
+        if (!calibrating || !pano) {
+            calibrateReadout.textContent = '';
+            return;
+        }
+        const offset = Math.round(panoNorthOffset[pano.index] || 0);
+        calibrateReadout.textContent = `Drag until an arrow sits on its doorway ([ / ] to nudge) - offset ${offset}°`;
+    }
+
+    // Shift the current scene's north offset by deltaDeg and keep it in (-180, 180]
+    function adjustNorthOffset(deltaDeg) {
+        const pano = panoGraph[currentPanoIndex];
+        if (!pano) return;
+        let offset = (panoNorthOffset[pano.index] || 0) + deltaDeg;
+        offset = ((offset + 180) % 360 + 360) % 360 - 180;
+        if (offset === -180) offset = 180;
+        panoNorthOffset[pano.index] = Math.round(offset * 10) / 10;
+        calibratedScenes.add(pano.index);
+        repositionPanoArrows();
+        updateCalibrateReadout();
+        saveEditorData();
+    }
+
+    // Assuming the camera kept its heading between adjacent shots, each linked scene
+    // sees this one exactly opposite to where this one sees it (B->A = A->B + 180°),
+    // which gives it the same offset. Only scenes not yet calibrated by hand are touched.
+    function applyReciprocalOffsets() {
+        const pano = panoGraph[currentPanoIndex];
+        if (!pano) return;
+        const offset = panoNorthOffset[pano.index] || 0;
+        const targets = (panoConnections[pano.index] || [])
+            .filter(n => !calibratedScenes.has(n) && getPanoByNumber(n));
+        if (targets.length === 0) {
+            window.alert('All linked scenes are already calibrated.');
+            return;
+        }
+        const names = targets.map(n => sceneName(getPanoByNumber(n))).join(', ');
+        if (!window.confirm(`Set the north offset of ${names} to ${Math.round(offset)}° so their arrows back here line up?`)) return;
+        for (const n of targets) panoNorthOffset[n] = offset;
+        saveEditorData();
+    }
+
+    function updateEditorLinkLines() {
+        if (editorLinkLines) {
+            editorLinkLines.geometry.dispose();
+            editorLinkLines.material.dispose();
+            scene.remove(editorLinkLines);
+            editorLinkLines = null;
+        }
+
+        // One segment per linked pair
+        const points = [];
+        for (const [from, targets] of Object.entries(panoConnections)) {
+            const a = hotspotPositions[from];
+            if (!a) continue;
+            for (const to of targets) {
+                const b = hotspotPositions[to];
+                if (!b || Number(from) > to && (panoConnections[to] || []).includes(Number(from))) continue;
+                points.push(new THREE.Vector3(a.x, a.y, a.z), new THREE.Vector3(b.x, b.y, b.z));
+            }
+        }
+        if (points.length === 0) return;
+
+        const geo = new THREE.BufferGeometry().setFromPoints(points);
+        const mat = new THREE.LineBasicMaterial({ color: EDITOR_HIGHLIGHT, transparent: true, opacity: 0.8, depthTest: false });
+        editorLinkLines = new THREE.LineSegments(geo, mat);
+        editorLinkLines.renderOrder = 997;
+        editorLinkLines.visible = currentMode === 'dollhouse';
+        scene.add(editorLinkLines);
+    }
+
+    // ============================================
+    // DEEP LINKS & HISTORY (URL hash)
+    // ============================================
+    // Panorama:  #pano=4&yaw=120&pitch=-5&fov=60
+    // Dollhouse: #cam=8,6,8&target=0,0,0
+
+    let applyingHash = false;   // true while restoring state from the URL
+    let hashUpdateTimer = null;
+
+    function formatVec(v) {
+        return [v.x, v.y, v.z].map(n => +n.toFixed(2)).join(',');
+    }
+
+    function parseVec(str) {
+        const parts = (str || '').split(',').map(Number);
+        if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+        return new THREE.Vector3(parts[0], parts[1], parts[2]);
+    }
+
+    function buildStateHash() {
+        const params = [];
+        if (currentMode === 'panorama') {
+            const pano = panoGraph[currentPanoIndex];
+            if (!pano) return '';
+            const yaw = ((panoYaw % 360) + 360) % 360;
+            params.push(['pano', pano.index], ['yaw', +yaw.toFixed(1)], ['pitch', +panoPitch.toFixed(1)], ['fov', Math.round(panoFov)]);
+        } else {
+            params.push(['cam', formatVec(camera.position)], ['target', formatVec(controls.target)]);
+            if (selectedFloor !== null) params.push(['floor', selectedFloor]);
+        }
+        return '#' + params.map(([k, v]) => k + '=' + v).join('&');
+    }
+
+    function parseStateHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const num = key => (params.has(key) && Number.isFinite(Number(params.get(key))) ? Number(params.get(key)) : null);
+        return {
+            pano: num('pano'),
+            yaw: num('yaw'),
+            pitch: num('pitch'),
+            fov: num('fov'),
+            cam: parseVec(params.get('cam')),
+            target: parseVec(params.get('target')),
+            floor: num('floor')
+        };
+    }
+
+    // New history entry: entering / leaving a pano or moving between panos
+    function pushHistoryState() {
+        if (applyingHash || !OWNS_PAGE) return;
+        clearTimeout(hashUpdateTimer);
+        // An unattended kiosk cycling scenes would otherwise grow the history forever
+        if (attract.active) history.replaceState(null, '', buildStateHash());
+        else history.pushState(null, '', buildStateHash());
+    }
+
+    // Look direction and camera moves only update the current entry (debounced)
+    function scheduleHashUpdate() {
+        if (applyingHash || !OWNS_PAGE || disposed) return;
+        clearTimeout(hashUpdateTimer);
+        hashUpdateTimer = setTimeout(() => {
+            history.replaceState(null, '', buildStateHash());
+        }, 250);
+    }
+
+    // Restore view from location.hash (on load and on Back/Forward)
+    function applyStateHash() {
+        const state = parseStateHash(window.location.hash);
+        const pano = state.pano !== null ? getPanoByNumber(state.pano) : null;
+
+        applyingHash = true;
+        try {
+            if (pano) {
+                if (currentMode !== 'panorama') enterPanorama(pano.index);
+                else if (panoGraph[currentPanoIndex] !== pano) navigatePano(pano);
+
+                panoControls.stop();
+                if (state.yaw !== null) panoYaw = state.yaw;
+                if (state.pitch !== null) panoPitch = panoControls.clampPitch(state.pitch);
+                if (state.fov !== null) {
+                    panoFov = panoControls.clampFov(state.fov);
+                    camera.fov = panoFov;
+                    camera.updateProjectionMatrix();
+                }
+                updatePanoCamera();
+            } else {
+                if (currentMode === 'panorama') exitPanorama();
+                if (state.floor !== selectedFloor) setFloor(state.floor);
+                if (state.cam && state.target) {
+                    camera.position.copy(state.cam);
+                    controls.target.copy(state.target);
+                    controls.update();
+                }
+            }
+        } finally {
+            applyingHash = false;
+        }
+    }
+
+    // ============================================
+    // HOST MESSAGING (postMessage API for embedding pages)
+    // ============================================
+    // Every message is { channel: 'thalassa-tour', version: 1, type, payload }.
+    //
+    // Host -> tour commands:
+    //   connect                       host speaks the protocol (sent after 'ready')
+    //   goToPano { pano }             open / move to pano number
+    //   teleport { spot }             dollhouse camera to a SPOTS key
+    //   exitPanorama                  back to the dollhouse
+    //   fullscreenChanged { active }  host fullscreened / restored the tour frame
+    //   playTour / pauseTour / stopTour   guided tour from tour.json
+    //   attract { idle, cycle, kiosk }    attract mode timings in seconds (0 = off)
+    //
+    // Tour -> host events:
+    //   ready { scenes, spots, mode, pano }
+    //   panoEntered { pano, label }   panoChanged { pano, label, from }   panoExited { from }
+    //   infoPointOpened { pano, title }
+    //   attractChanged { active }     vrChanged { active }
+    //   guidedTourStarted { steps }   guidedTourStep { index, count, caption }   guidedTourEnded { completed }
+    //   loadProgress { percent }      error { message, code }             fullscreenRequest
+    //   contextRestored               the 3D view is back after a lost WebGL context (error code 'contextLost')
+
+    const MESSAGE_CHANNEL = 'thalassa-tour';
+    const MESSAGE_VERSION = 1;
+
+    // Only a tour that is the whole page talks to a parent frame; every event
+    // is also dispatched on the TourViewer
+    const isEmbedded = OWNS_PAGE && window.parent !== window;
+    let hostConnected = false;
+    let hostOrigin = '*';
+
+    function emitToHost(type, payload = {}) {
+        viewer.dispatchEvent({ type, ...payload });
+        if (!isEmbedded) return;
+        window.parent.postMessage({ channel: MESSAGE_CHANNEL, version: MESSAGE_VERSION, type, payload }, hostOrigin);
+    }
+
+    const hostCommands = {
+        connect() {
+            // Handled by onHostMessage marking the host as connected
+        },
+        goToPano({ pano: num }) {
+            if (!showPano(num)) emitToHost('error', { message: `Unknown pano ${JSON.stringify(num)}`, code: 'unknownPano' });
+        },
+        teleport({ spot }) {
+            if (!SPOTS[spot]) {
+                emitToHost('error', { message: `Unknown spot ${JSON.stringify(spot)}`, code: 'unknownSpot' });
+                return;
+            }
+            showSpot(spot);
+        },
+        exitPanorama() {
+            if (currentMode === 'panorama') exitPanorama();
+        },
+        playTour() {
+            if (!guidedTour) {
+                emitToHost('error', { message: 'This tour has no guided tour', code: 'noGuidedTour' });
+                return;
+            }
+            playGuidedTour();
+        },
+        pauseTour() {
+            pauseGuidedTour();
+        },
+        stopTour() {
+            stopGuidedTour();
+        },
+        attract(options) {
+            configureAttract(options);
+        },
+        fullscreenChanged({ active }) {
+            root.classList.toggle('host-fullscreen', !!active);
+        }
+    };
+
+    // Open / move to a pano by number; false when there is no such pano
+    function showPano(num) {
+        const pano = getPanoByNumber(Number(num));
+        if (!pano) return false;
+        if (currentMode === 'panorama') navigatePano(pano);
+        else enterPanorama(pano.index);
+        return true;
+    }
+
+    // Dollhouse camera to a SPOTS key, leaving the panorama first; resolves false for an unknown spot
+    async function showSpot(spot, duration) {
+        if (!SPOTS[spot]) return false;
+        if (currentMode === 'panorama') exitPanorama();
+        await teleportTo(spot, duration);
+        return true;
+    }
+
+    function onHostMessage(e) {
+        if (!isEmbedded || e.source !== window.parent) return;
+        const msg = e.data;
+        if (!msg || typeof msg !== 'object' || msg.channel !== MESSAGE_CHANNEL) return;
+
+        if (e.origin !== 'null') hostOrigin = e.origin;
+        if (msg.version !== MESSAGE_VERSION) {
+            emitToHost('error', { message: `Unsupported protocol version ${JSON.stringify(msg.version)}`, code: 'unsupportedVersion' });
+            return;
+        }
+        const command = hostCommands[msg.type];
+        if (!command) {
+            emitToHost('error', { message: `Unknown command ${JSON.stringify(msg.type)}`, code: 'unknownCommand' });
+            return;
+        }
+        hostConnected = true;
+        command(msg.payload || {});
+    }
+
+    function emitReady() {
+        const pano = currentMode === 'panorama' ? panoGraph[currentPanoIndex] : null;
+        emitToHost('ready', {
+            scenes: panoGraph.map(p => ({ pano: p.index, label: sceneName(p) })),
+            spots: Object.keys(SPOTS),
+            mode: currentMode,
+            pano: pano ? pano.index : null,
+            property: { id: property.id, name: property.name || property.id }
+        });
+    }
+
+    // ============================================
+    // FULLSCREEN
+    // ============================================
+
+    function toggleFullscreen() {
+        if (document.fullscreenElement) {
+            (document.exitFullscreen || document.webkitExitFullscreen || document.msExitFullscreen).call(document);
+        } else if (hostConnected) {
+            // Embedded: the host page fullscreens its own container and reports back
+            emitToHost('fullscreenRequest');
+        } else {
+            const el = OWNS_PAGE ? document.documentElement : root;
+            (el.requestFullscreen || el.webkitRequestFullscreen || el.msRequestFullscreen).call(el);
+        }
+    }
+
+    // ============================================
+    // UI SETUP
+    // ============================================
+
+    function setupUI() {
+        // Teleport buttons
+        Object.entries(SPOTS).forEach(([key, spot]) => {
+            const btn = document.createElement('button');
+            btn.className = 'spot-btn';
+            btn.dataset.spot = key;
+            btn.textContent = spot.name;
+            btn.addEventListener('click', () => teleportTo(key));
+            teleportSpots.appendChild(btn);
+        });
+
+        // Mode toggle removed - no inside GLB navigation
+
+        // Fullscreen
+        fullscreenBtn.addEventListener('click', toggleFullscreen);
+
+        // Hint close
+        hintClose.addEventListener('click', () => controlsHint.classList.add('hidden'));
+        setTimeout(() => controlsHint.classList.add('hidden'), 10000);
+
+        // Pano back button
+        if (panoBackBtn) panoBackBtn.addEventListener('click', exitPanorama);
+
+        // Pano load error: retry or go back
+        ref('panoErrorRetry').addEventListener('click', () => {
+            const pano = getPanoByNumber(Number(panoError.dataset.pano));
+            if (pano) loadPanoTexture(pano);
+        });
+        ref('panoErrorBack').addEventListener('click', exitPanorama);
+        ref('diagnosticsClose').addEventListener('click', () => {
+            diagnosticsPanel.classList.remove('visible');
+        });
+
+        // Clicks and taps (pano drag / zoom is PanoControls, dollhouse is OrbitControls)
+        const canvas = renderer.domElement;
+        canvas.addEventListener('pointerdown', onGlobalPointerDown);
+        canvas.addEventListener('pointerup', onGlobalPointerUp);
+
+        // Phones drop the WebGL context when the app goes to the background
+        canvas.addEventListener('webglcontextlost', onContextLost);
+        canvas.addEventListener('webglcontextrestored', onContextRestored);
+        if (contextReload) contextReload.addEventListener('click', () => window.location.reload());
+
+        resizeObserver.observe(container);
+
+        // Keyboard
+        listen(inputTarget, 'keydown', onKeyDown);
+
+        // Commands from an embedding page
+        if (isEmbedded) listen(window, 'message', onHostMessage);
+
+        setupSectionControls();
+        setupMeasureControls();
+        setupInfoPoints();
+        setupGuidedTour();
+        setupAttract();
+        setupVR();
+        setupGyro();
+        setupEditor();
+    }
+
+    // ============================================
+    // RESIZE
+    // ============================================
+
+    // The canvas follows its container, not the window, so the tour can sit in a page
+    const resizeObserver = new ResizeObserver(onResize);
+
+    function onResize() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (!width || !height) return;
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(width, height);
+    }
+
+    // ============================================
+    // ANIMATION LOOP
+    // ============================================
+
+    function animate(time) {
+        const t = time || 0;
+        updateAttract(t);
+        updateGyro(t);
+        updateFocusedA11yProxy();
+        if (isPresentingVR()) updateVR(t);
+
+        if (currentMode === 'dollhouse') {
+            if (!isPresentingVR()) controls.update();
+            updateHotspots(t);
+            updateMeasureLabels();
+        } else if (currentMode === 'panorama') {
+            if (!isPresentingVR()) panoControls.update(t);
+            updatePanoArrowPulse(t);
+            // Handle fade transition
+            if (panoFading && panoLayer) {
+                panoFadeProgress += prefersReducedMotion() ? 1 : 0.03;
+                if (panoFadeProgress >= 1) {
+                    panoFadeProgress = 1;
+                    panoFading = false;
+                }
+                panoLayer.setOpacity(panoFadeProgress);
+                // Crossfade done: the old pano is fully covered
+                if (!panoFading && panoPrevLayer) {
+                    releasePanoLayer(panoPrevLayer);
+                    panoPrevLayer = null;
+                }
+            }
+            // Stream the tiles the current view and zoom need
+            if (panoLayer && panoLayer.tiled) panoLayer.tiled.update(camera, renderer.domElement.height);
+        }
+
+        renderer.render(scene, camera);
+        if (DEBUG_MODE) updateMemoryReadout(t);
     }
-}
 
-init();
+    // ============================================
+    // GPU RESOURCES (disposal, context loss, memory readout)
+    // ============================================
+
+    const CONTEXT_RESTORE_TIMEOUT = 8000;   // ms before offering a reload instead
+    const MEMORY_READOUT_INTERVAL = 500;    // ms
+
+    let contextLostTimer = 0;
+    let lastMemoryReadout = 0;
+
+    // Frees the GPU side of everything under obj: geometries, materials, their textures, shadow maps
+    function disposeObject(obj) {
+        obj.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : child.material ? [child.material] : [];
+            for (const material of materials) {
+                for (const value of Object.values(material)) {
+                    if (value && value.isTexture) value.dispose();
+                }
+                material.dispose();
+            }
+            if (child.isLight) child.dispose();
+        });
+    }
+
+    function releaseModel() {
+        modelLoadToken++;
+        if (!model) return;
+        scene.remove(model);
+        disposeObject(model);     // the section outline is a child
+        model = null;
+        sectionOutline = null;
+        modelTriangles = null;
+    }
+
+    // Layers on screen, everything cached or prefetched, and the shared sphere
+    function releasePanos() {
+        panoLoadToken++;
+        panoFading = false;
+        if (panoPrevLayer) releasePanoLayer(panoPrevLayer);
+        if (panoLayer) releasePanoLayer(panoLayer);
+        panoPrevLayer = null;
+        panoLayer = null;
+        for (const entry of panoCache.values()) {
+            if (entry.resource) entry.resource.dispose();
+        }
+        panoCache.clear();
+        if (panoSphereGeometry) {
+            panoSphereGeometry.dispose();
+            panoSphereGeometry = null;
+        }
+        removePanoArrows();
+        removeInfoMarkers();
+    }
+
+    function onContextLost() {
+        if (disposed) return;
+        renderer.setAnimationLoop(null);
+        if (isPresentingVR()) vrMode.exit();
+        if (guided.playing && !guided.paused) pauseGuidedTour();
+        // Nothing on the old context comes back; let go of the big things now
+        releasePanos();
+        releaseModel();
+        contextOverlay.classList.add('visible');
+        clearTimeout(contextLostTimer);
+        contextLostTimer = setTimeout(() => contextOverlay.classList.add('stuck'), CONTEXT_RESTORE_TIMEOUT);
+        emitToHost('error', { message: 'The 3D view lost its graphics context', code: 'contextLost' });
+    }
+
+    // three.js has set up the new context and re-uploads what is still in the scene from its
+    // CPU copies (hotspots, arrows, measurements); the model and panorama load again
+    async function onContextRestored() {
+        if (disposed) return;
+        clearTimeout(contextLostTimer);
+        contextOverlay.classList.remove('visible', 'stuck');
+        renderer.setAnimationLoop(animate);
+
+        const pano = currentMode === 'panorama' ? panoGraph[currentPanoIndex] : null;
+        if (pano) loadPanoTexture(pano);
+        await loadModel({ refit: false });
+        if (disposed) return;
+        // New hotspot meshes start out visible
+        if (currentMode === 'panorama') hotspotMeshes.forEach(m => { m.visible = false; });
+        onClipPlanesChanged();
+        emitToHost('contextRestored');
+    }
+
+    // Debug readout of what the renderer holds on the GPU and drew last frame
+    function updateMemoryReadout(now) {
+        if (!diagnosticsMemory || now - lastMemoryReadout < MEMORY_READOUT_INTERVAL) return;
+        lastMemoryReadout = now;
+        const { memory, render, programs } = renderer.info;
+        const cacheMB = Math.round(panoCacheBytes() / (1024 * 1024));
+        diagnosticsMemory.textContent =
+            `GPU: ${memory.geometries} geometries, ${memory.textures} textures, ${programs ? programs.length : 0} programs | ` +
+            `last frame: ${render.calls} draw calls, ${render.triangles.toLocaleString()} triangles | ` +
+            `pano cache: ${cacheMB} / ${PANO_CACHE_BUDGET_MB} MB (${panoCache.size} scenes)`;
+    }
+
+    // ============================================
+    // INIT
+    // ============================================
+
+    // Resolves once the model and tour data are in and the view is restored
+    async function init() {
+        try {
+            initScene();
+            setupUI();
+            await loadProperty();
+
+            // Start model loading immediately (don't block on manifest/hotspots)
+            const modelLoaded = loadModel();
+
+            // Load manifest + tour definition + hotspot positions in background
+            // (hotspot fallback needs the tour definition, so those two are chained)
+            const dataLoaded = Promise.all([
+                loadManifest(),
+                loadTourDefinition().then(() => {
+                    loadStoredTourEdits();
+                    return loadHotspotPositions();
+                })
+            ])
+                .then(() => {
+                    // No manifest: fall back to the images named in tour.json
+                    if (panoGraph.length === 0 && tourFiles.length) buildPanoGraph(tourFiles);
+                    // If model already loaded, recreate hotspot meshes now
+                    if (model) createHotspotMeshes();
+                    renderFloorSelector();
+                    renderGuidedTourButton();
+                    if (EDIT_MODE) renderEditorScenes();
+                    showDiagnostics();
+                })
+                .catch(() => {});
+
+            // Deep link: restore the view in the URL once everything it may refer to exists
+            await Promise.all([modelLoaded, dataLoaded]);
+            if (disposed) return;
+            if (OWNS_PAGE) {
+                applyStateHash();
+                listen(window, 'popstate', applyStateHash);
+            }
+            emitReady();
+
+        } catch (error) {
+            showError(`Failed to initialize: ${error.message}`);
+        }
+    }
+
+    // ============================================
+    // TEARDOWN
+    // ============================================
+
+    // Stops the tour, frees everything it put on the GPU and gives its container back empty
+    function dispose() {
+        if (disposed) return;
+        // Both run on their own frame loops and timers; end them while the scene is still whole
+        stopGuidedTour();
+        if (attract.active) stopAttract();
+        disposed = true;
+        stopGuidedAudio();
+        window.removeEventListener('deviceorientation', onDeviceOrientation);
+        clearTimeout(hashUpdateTimer);
+        clearTimeout(contextLostTimer);
+        renderer.setAnimationLoop(null);
+        resizeObserver.disconnect();
+        for (const remove of cleanups) remove();
+        cleanups.length = 0;
+        controls.dispose();
+        panoControls.dispose();
+        if (vrMode) vrMode.dispose();
+
+        releasePanos();
+        releaseModel();
+        disposeObject(scene);     // hotspots, editor and measure lines, lights
+        scene.clear();
+        if (infoIconTexture) infoIconTexture.dispose();
+        renderer.dispose();
+        // Browsers cap live WebGL contexts; hand this one back now rather than at GC
+        renderer.forceContextLoss();
+        root.replaceChildren();
+        root.classList.remove('tour-app', 'host-fullscreen');
+    }
+
+    return {
+        ready: init(),
+        showPano,
+        showSpot,
+        exitPanorama() {
+            if (currentMode === 'panorama') exitPanorama();
+        },
+        dispose,
+        get mode() {
+            return currentMode;
+        },
+        get pano() {
+            const pano = currentMode === 'panorama' ? panoGraph[currentPanoIndex] : null;
+            return pano ? pano.index : null;
+        }
+    };
+}
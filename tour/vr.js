@@ -0,0 +1,289 @@
+/**
+ * Thalassa Stone Rooms - WebXR mode
+ * Immersive VR on the tour's renderer: head tracking, controller rays with
+ * gaze-dwell as the fallback pointer, and a rig that puts the viewer inside a
+ * panorama or in front of the dollhouse shrunk to a tabletop model.
+ * The XR system is an option, so the mode can be driven by a mocked session.
+ */
+
+import * as THREE from 'three';
+
+const GAZE_DWELL_MS = 1500;       // looking at a target this long selects it
+const RAY_LENGTH = 5;             // controller ray when it hits nothing (m)
+const RETICLE_DISTANCE = 2;       // gaze reticle in front of the eyes (m)
+const EYE_HEIGHT = 1.6;           // panoramas are centred on the viewer's eyes (m)
+const TABLETOP_SIZE = 1.2;        // longest side of the dollhouse on the table (m)
+const TABLETOP_HEIGHT = 0.9;
+const TABLETOP_DISTANCE = 1.0;
+
+export class VRMode {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {object} [options] {
+     *   xr          XRSystem, default navigator.xr (null = no VR)
+     *   getTargets  () => Object3D[] that can be selected right now
+     *   onSelect    (target) => void, target is one of getTargets()
+     *   onSqueeze   () => void, controller grip button
+     *   onStart / onEnd  session began / ended
+     * }
+     */
+    constructor(renderer, scene, camera, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.xr = 'xr' in options ? options.xr : navigator.xr;
+        this.getTargets = options.getTargets || (() => []);
+        this.onSelect = options.onSelect || (() => {});
+        this.onSqueeze = options.onSqueeze || (() => {});
+        this.onStart = options.onStart || (() => {});
+        this.onEnd = options.onEnd || (() => {});
+
+        this.session = null;
+        this.rig = new THREE.Group();     // the viewer; camera and controllers ride on it
+        this.controllers = [];
+        this.raycaster = new THREE.Raycaster();
+        this.reticle = createReticle();
+        this.gaze = { target: null, since: 0, fired: false };
+
+        this._pos = new THREE.Vector3();
+        this._dir = new THREE.Vector3();
+        this._quat = new THREE.Quaternion();
+        this._matrix = new THREE.Matrix4();
+
+        this.onSessionEnd = this.onSessionEnd.bind(this);
+        renderer.xr.enabled = true;
+
+        for (let i = 0; i < 2; i++) {
+            const controller = renderer.xr.getController(i);
+            const ray = createRay();
+            controller.add(ray);
+            controller.userData.ray = ray;
+            controller.userData.pointer = false;
+            controller.addEventListener('connected', (e) => {
+                // Gaze / screen input has no hand to draw a ray from
+                controller.userData.pointer = e.data.targetRayMode === 'tracked-pointer';
+                ray.visible = controller.userData.pointer;
+            });
+            controller.addEventListener('disconnected', () => {
+                controller.userData.pointer = false;
+                ray.visible = false;
+            });
+            controller.addEventListener('select', () => this.selectFrom(controller));
+            controller.addEventListener('squeeze', () => this.onSqueeze());
+            this.rig.add(controller);
+            this.controllers.push(controller);
+        }
+    }
+
+    get presenting() {
+        return this.session !== null;
+    }
+
+    /** Resolves true when an immersive VR session can be requested. */
+    async isSupported() {
+        if (!this.xr || typeof this.xr.isSessionSupported !== 'function') return false;
+        try {
+            return await this.xr.isSessionSupported('immersive-vr');
+        } catch (_) {
+            return false;
+        }
+    }
+
+    async enter() {
+        if (this.session || !this.xr) return;
+        const session = await this.xr.requestSession('immersive-vr', { optionalFeatures: ['local-floor'] });
+        await this.start(session);
+    }
+
+    /** Runs an already created session (enter() or a mocked one). */
+    async start(session) {
+        this.session = session;
+        session.addEventListener('end', this.onSessionEnd);
+        this.scene.add(this.rig);
+        this.scene.add(this.reticle);
+        this.rig.add(this.camera);
+        try {
+            this.renderer.xr.setReferenceSpaceType('local-floor');
+            await this.renderer.xr.setSession(session);
+        } catch (err) {
+            this.onSessionEnd();
+            session.end().catch(() => {});
+            throw err;
+        }
+        this.onStart();
+    }
+
+    exit() {
+        if (this.session) this.session.end();
+    }
+
+    /** Ends any session and frees the controller rays and the reticle. */
+    dispose() {
+        // The session ends asynchronously; the owner is gone by the time it does
+        this.onSelect = this.onStart = this.onEnd = () => {};
+        this.exit();
+        for (const controller of this.controllers) {
+            controller.userData.ray.geometry.dispose();
+            controller.userData.ray.material.dispose();
+        }
+        this.reticle.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    onSessionEnd() {
+        if (!this.session) return;
+        this.session.removeEventListener('end', this.onSessionEnd);
+        this.session = null;
+        this.rig.remove(this.camera);
+        this.scene.remove(this.rig);
+        this.scene.remove(this.reticle);
+        this.gaze.target = null;
+        this.onEnd();
+    }
+
+    /** Standing at the centre of a panorama, facing headingDeg (camera convention). */
+    placeInPanorama(headingDeg) {
+        this.rig.scale.setScalar(1);
+        this.rig.rotation.set(0, facingAngle(headingDeg), 0);
+        this.rig.position.set(0, -EYE_HEIGHT, 0);
+    }
+
+    /**
+     * In front of a table holding the model. The viewer grows instead of the
+     * model shrinking, so hotspots and clip planes stay where they are.
+     * @param {THREE.Box3} box model bounds in world space
+     */
+    placeAtTabletop(box, headingDeg) {
+        const size = box.getSize(this._pos);
+        const scale = Math.max(size.x, size.y, size.z) / TABLETOP_SIZE;
+        this.rig.scale.setScalar(scale);
+        this.rig.rotation.set(0, facingAngle(headingDeg), 0);
+        // The table spot, in rig space, lands on the bottom centre of the model
+        const table = new THREE.Vector3(0, TABLETOP_HEIGHT, -TABLETOP_DISTANCE)
+            .multiplyScalar(scale)
+            .applyEuler(this.rig.rotation);
+        const anchor = new THREE.Vector3((box.min.x + box.max.x) / 2, box.min.y, (box.min.z + box.max.z) / 2);
+        this.rig.position.copy(anchor).sub(table);
+    }
+
+    /** Turns the viewer on the spot (about the rig origin, under their feet in a panorama). */
+    turnBy(deg) {
+        this.rig.rotation.y -= THREE.MathUtils.degToRad(deg);
+    }
+
+    /** World yaw / pitch (degrees, camera convention) the headset faces. */
+    getHeading() {
+        const dir = this.renderer.xr.getCamera().getWorldDirection(this._dir);
+        return {
+            yaw: THREE.MathUtils.radToDeg(Math.atan2(dir.z, dir.x)),
+            pitch: THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1)))
+        };
+    }
+
+    /** Call every frame while presenting: ray lengths, gaze reticle and dwell. */
+    update(now) {
+        if (!this.session) return;
+        const scale = this.rig.scale.x;
+
+        let pointing = false;
+        for (const controller of this.controllers) {
+            if (!controller.userData.pointer) continue;
+            pointing = true;
+            this.aimFrom(controller);
+            const hit = this.pick();
+            controller.userData.ray.scale.z = hit ? hit.distance / scale : RAY_LENGTH;
+        }
+
+        // Without a pointing controller the head is the pointer
+        this.reticle.visible = !pointing;
+        if (pointing) {
+            this.gaze.target = null;
+            return;
+        }
+        const head = this.renderer.xr.getCamera();
+        head.getWorldPosition(this._pos);
+        head.getWorldDirection(this._dir);
+        head.getWorldQuaternion(this._quat);
+        this.raycaster.set(this._pos, this._dir);
+        const hit = this.pick();
+        const target = hit ? hit.target : null;
+        if (target !== this.gaze.target) {
+            this.gaze.target = target;
+            this.gaze.since = now;
+            this.gaze.fired = false;
+        }
+
+        const progress = target && !this.gaze.fired ? Math.min(1, (now - this.gaze.since) / GAZE_DWELL_MS) : 0;
+        this.reticle.position.copy(this._pos).addScaledVector(this._dir, RETICLE_DISTANCE * scale);
+        this.reticle.quaternion.copy(this._quat);
+        this.reticle.scale.setScalar(scale);
+        this.reticle.userData.fill.scale.setScalar(Math.max(progress, 0.001));
+        if (progress >= 1) {
+            this.gaze.fired = true;
+            this.onSelect(target);
+        }
+    }
+
+    // --- internals ---
+
+    selectFrom(controller) {
+        this.aimFrom(controller);
+        const hit = this.pick();
+        if (hit) this.onSelect(hit.target);
+    }
+
+    aimFrom(controller) {
+        this._matrix.identity().extractRotation(controller.matrixWorld);
+        this.raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        this.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(this._matrix);
+    }
+
+    // Nearest hit along the raycaster, reported as the top-level target
+    pick() {
+        const targets = this.getTargets();
+        if (!targets.length) return null;
+        this.raycaster.camera = this.renderer.xr.getCamera();   // sprites need it
+        for (const hit of this.raycaster.intersectObjects(targets, true)) {
+            let obj = hit.object;
+            while (obj && !targets.includes(obj)) obj = obj.parent;
+            if (obj) return { target: obj, distance: hit.distance };
+        }
+        return null;
+    }
+}
+
+// Rig rotation that turns the viewer's forward (-Z) to headingDeg
+function facingAngle(headingDeg) {
+    return -(THREE.MathUtils.degToRad(headingDeg) + Math.PI / 2);
+}
+
+function createRay() {
+    const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]);
+    const ray = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xc9a962 }));
+    ray.scale.z = RAY_LENGTH;
+    ray.visible = false;
+    return ray;
+}
+
+// Ring with a disc that fills up while a target is being looked at
+function createReticle() {
+    const group = new THREE.Group();
+    const ring = new THREE.Mesh(
+        new THREE.RingGeometry(0.02, 0.028, 32),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8, depthTest: false })
+    );
+    const fill = new THREE.Mesh(
+        new THREE.CircleGeometry(0.02, 32),
+        new THREE.MeshBasicMaterial({ color: 0xc9a962, depthTest: false })
+    );
+    ring.renderOrder = 1000;
+    fill.renderOrder = 1001;
+    group.add(ring, fill);
+    group.userData.fill = fill;
+    group.visible = false;
+    return group;
+}